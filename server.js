@@ -4,41 +4,515 @@ const mongoose = require("mongoose");
 const express = require("express");
 const cors = require("cors");
 const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const Joi = require('joi');
+const { AsyncLocalStorage } = require('async_hooks');
+const promClient = require('prom-client');
 
 const app = express();
 
 // Get port from environment variable or use 8000 as fallback
 const PORT = process.env.PORT || 8000;
 
+// ==================== LOGGING ====================
+
+/**
+ * Structured Logger
+ * Writes one JSON object per line: level, time, msg, and - inside a request -
+ * the request id and route, followed by any extra fields. Secrets and email
+ * bodies are redacted by key before anything is written.
+ * LOG_LEVEL sets the minimum level (debug, info, warn, error).
+ */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info;
+
+// Credentials and tokens
+const LOG_SECRET_KEYS = /pass(word)?$|secret|token|authorization|cookie|api[-_]?key/i;
+// Message bodies (email html/text, inquiry messages)
+const LOG_BODY_KEYS = /^(html|text|message|body)$/i;
+
+// Per-request context (the current req) shared with every log call made while handling it
+const requestContext = new AsyncLocalStorage();
+
+const redactLogValue = (value, key, depth = 0) => {
+    if (key && (LOG_SECRET_KEYS.test(key) || LOG_BODY_KEYS.test(key))) return '[REDACTED]';
+    if (value instanceof Error) {
+        return { name: value.name, code: value.code, message: value.message, stack: value.stack };
+    }
+    if (value && typeof value.toJSON === 'function') value = value.toJSON();
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= 5) return '[Object]';
+    if (Array.isArray(value)) return value.map((item) => redactLogValue(item, null, depth + 1));
+    return Object.fromEntries(
+        Object.entries(value).map(([field, fieldValue]) => [field, redactLogValue(fieldValue, field, depth + 1)])
+    );
+};
+
+// Matched route pattern including its mount point ("/api/v1/blogs/:id"). Routers reset
+// req.baseUrl on the way out, so table routes record it as they match (req.routePattern).
+const getRoutePattern = (req) => req.routePattern || (req.route ? `${req.baseUrl}${req.route.path}` : null);
+
+// "GET /api/v1/blogs/:id" once a route has matched, the raw path otherwise
+const getRouteLabel = (req) => `${req.method} ${getRoutePattern(req) || req.originalUrl.split('?')[0]}`;
+
+const writeLog = (level, msg, meta = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVEL) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+        level,
+        time: new Date().toISOString(),
+        msg,
+        ...(context && { requestId: context.req.id, route: getRouteLabel(context.req) }),
+        ...redactLogValue(meta)
+    };
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+    debug: (msg, meta) => writeLog('debug', msg, meta),
+    info: (msg, meta) => writeLog('info', msg, meta),
+    warn: (msg, meta) => writeLog('warn', msg, meta),
+    error: (msg, meta) => writeLog('error', msg, meta)
+};
+
+// ==================== METRICS ====================
+
+/**
+ * Prometheus Metrics
+ * Exposed on GET /metrics in the Prometheus text format.
+ * Counters are updated where the events happen; gauges that need the
+ * database (blog and outbox counts) are read on every scrape.
+ */
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+    httpRequests: new promClient.Counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests by method, route and status',
+        labelNames: ['method', 'route', 'status'],
+        registers: [metricsRegistry]
+    }),
+    httpRequestDuration: new promClient.Histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency by method, route and status',
+        labelNames: ['method', 'route', 'status'],
+        buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+        registers: [metricsRegistry]
+    }),
+    contactSubmissions: new promClient.Counter({
+        name: 'contact_submissions_total',
+        help: 'Contact form submissions by outcome (accepted, held, duplicate, honeypot, rejected, error)',
+        labelNames: ['outcome'],
+        registers: [metricsRegistry]
+    }),
+    emailSends: new promClient.Counter({
+        name: 'email_sends_total',
+        help: 'Email send attempts by transport and result (success, failure)',
+        labelNames: ['transport', 'result'],
+        registers: [metricsRegistry]
+    }),
+    outboxDeadLettered: new promClient.Counter({
+        name: 'outbox_emails_dead_lettered_total',
+        help: 'Outbox emails that exhausted their send attempts',
+        registers: [metricsRegistry]
+    }),
+    blogViews: new promClient.Counter({
+        name: 'blog_views_total',
+        help: 'Blog views by result (counted, duplicate, bot, error)',
+        labelNames: ['result'],
+        registers: [metricsRegistry]
+    }),
+    webhookDeliveries: new promClient.Counter({
+        name: 'webhook_delivery_attempts_total',
+        help: 'Webhook delivery attempts by event and result (success, failure, dead)',
+        labelNames: ['event', 'result'],
+        registers: [metricsRegistry]
+    }),
+    emailServerUp: new promClient.Gauge({
+        name: 'email_server_up',
+        help: 'Whether the last email server verification succeeded (1) or failed (0)',
+        registers: [metricsRegistry],
+        collect() {
+            this.set(emailServerStatus ? 1 : 0);
+        }
+    }),
+    dbUp: new promClient.Gauge({
+        name: 'mongodb_up',
+        help: 'Whether the MongoDB connection is established (1) or not (0)',
+        registers: [metricsRegistry],
+        collect() {
+            this.set(dbStatus ? 1 : 0);
+        }
+    }),
+    dbConnectionState: new promClient.Gauge({
+        name: 'mongodb_connection_state',
+        help: 'Mongoose connection readyState (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+        registers: [metricsRegistry],
+        collect() {
+            this.set(mongoose.connection.readyState);
+        }
+    }),
+    dbDisconnects: new promClient.Counter({
+        name: 'mongodb_disconnects_total',
+        help: 'Times the MongoDB connection was lost',
+        registers: [metricsRegistry]
+    }),
+    dbReconnects: new promClient.Counter({
+        name: 'mongodb_reconnects_total',
+        help: 'Times the MongoDB connection was re-established after the first connect',
+        registers: [metricsRegistry]
+    }),
+    blogPosts: new promClient.Gauge({
+        name: 'blog_posts',
+        help: 'Blog posts by effective status (published, draft, scheduled)',
+        labelNames: ['status'],
+        registers: [metricsRegistry],
+        async collect() {
+            if (!dbStatus) return;
+            try {
+                const now = new Date();
+                const [published, draft, scheduled] = await Promise.all([
+                    Blog.countDocuments(getEffectiveStatusFilter('published', now)),
+                    Blog.countDocuments(getEffectiveStatusFilter('draft', now)),
+                    Blog.countDocuments({ status: 'draft', publishAt: { $gt: now } })
+                ]);
+                this.set({ status: 'published' }, published);
+                this.set({ status: 'draft' }, draft);
+                this.set({ status: 'scheduled' }, scheduled);
+            } catch (error) {
+                // A failed count must not take the whole scrape down
+                logger.warn('Failed to collect blog metrics', { error });
+            }
+        }
+    }),
+    outboxEmails: new promClient.Gauge({
+        name: 'outbox_emails',
+        help: 'Outbox emails by status',
+        labelNames: ['status'],
+        registers: [metricsRegistry],
+        async collect() {
+            if (!dbStatus) return;
+            try {
+                const counts = await OutboxEmail.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+                for (const status of ['queued', 'sending', 'sent', 'dead']) {
+                    const entry = counts.find((item) => item._id === status);
+                    this.set({ status }, entry ? entry.count : 0);
+                }
+            } catch (error) {
+                logger.warn('Failed to collect outbox metrics', { error });
+            }
+        }
+    })
+};
+
+// Route pattern rather than the raw path, so ids do not explode label cardinality
+const getMetricsRoute = (req) => getRoutePattern(req) || 'unmatched';
+
+const recordRequestMetrics = (req, res, latencySeconds) => {
+    const labels = { method: req.method, route: getMetricsRoute(req), status: res.statusCode };
+    metrics.httpRequests.inc(labels);
+    metrics.httpRequestDuration.observe(labels, latencySeconds);
+};
+
+// ==================== MAIL ====================
+
+/**
+ * Mail Transport
+ * Single shared nodemailer transport configured from env.
+ * MAIL_TRANSPORT selects the mode:
+ * - smtp: generic SMTP server (defaults match the original Gmail setup)
+ * - file: writes every message as an .eml file to MAIL_FILE_DIR
+ * - json: writes every message as a .json file to MAIL_FILE_DIR
+ * - capture: keeps sent messages in memory for inspection
+ */
+const mailConfig = {
+    transport: (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase(),
+    host: process.env.MAIL_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.MAIL_PORT, 10) || 465,
+    // Implicit TLS by default on 465, STARTTLS otherwise
+    secure: process.env.MAIL_SECURE
+        ? process.env.MAIL_SECURE === 'true'
+        : (parseInt(process.env.MAIL_PORT, 10) || 465) === 465,
+    requireTLS: process.env.MAIL_REQUIRE_TLS === 'true',
+    rejectUnauthorized: process.env.MAIL_TLS_REJECT_UNAUTHORIZED !== 'false',
+    user: process.env.MAIL_USER || process.env.EMAIL_USER,
+    pass: process.env.MAIL_PASS || process.env.EMAIL_PASS,
+    from: process.env.MAIL_FROM || process.env.EMAIL_USER,
+    fileDir: path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail'),
+    captureLimit: parseInt(process.env.MAIL_CAPTURE_LIMIT, 10) || 100
+};
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'json', 'capture'];
+
+// Messages sent while in capture mode, newest last
+const capturedMail = [];
+
 // Global variable to track email server status
 let emailServerStatus = false;
 
+let mailTransporter = null;
+
+// Build (once) the nodemailer transport for the configured mode
+const getMailTransporter = () => {
+    if (mailTransporter) return mailTransporter;
+
+    switch (mailConfig.transport) {
+        case 'file':
+            mailTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+            break;
+        case 'json':
+        case 'capture':
+            mailTransporter = nodemailer.createTransport({ jsonTransport: true });
+            break;
+        case 'smtp':
+            mailTransporter = nodemailer.createTransport({
+                host: mailConfig.host,
+                port: mailConfig.port,
+                secure: mailConfig.secure,
+                requireTLS: mailConfig.requireTLS,
+                auth: mailConfig.user ? { user: mailConfig.user, pass: mailConfig.pass } : undefined,
+                tls: { rejectUnauthorized: mailConfig.rejectUnauthorized }
+            });
+            break;
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${mailConfig.transport}" (expected one of ${MAIL_TRANSPORTS.join(', ')})`);
+    }
+
+    return mailTransporter;
+};
+
+// Send a message through the shared transport
+const sendMail = async (mailOptions) => {
+    let info;
+    try {
+        info = await getMailTransporter().sendMail(mailOptions);
+        metrics.emailSends.inc({ transport: mailConfig.transport, result: 'success' });
+    } catch (error) {
+        metrics.emailSends.inc({ transport: mailConfig.transport, result: 'failure' });
+        throw error;
+    }
+
+    if (mailConfig.transport === 'file' || mailConfig.transport === 'json') {
+        const extension = mailConfig.transport === 'file' ? 'eml' : 'json';
+        const safeId = String(info.messageId || Date.now()).replace(/[^a-zA-Z0-9.-]/g, '');
+        await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
+        await fs.promises.writeFile(path.join(mailConfig.fileDir, `${Date.now()}-${safeId}.${extension}`), info.message);
+    }
+
+    if (mailConfig.transport === 'capture') {
+        capturedMail.push({ ...JSON.parse(info.message), capturedAt: new Date() });
+        if (capturedMail.length > mailConfig.captureLimit) {
+            capturedMail.splice(0, capturedMail.length - mailConfig.captureLimit);
+        }
+    }
+
+    return info;
+};
+
 // Function to verify email configuration
 const verifyEmailServer = async () => {
     try {
-        const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            host: 'smtp.gmail.com',
-            port: 465,
-            secure: true,
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASS
+        if (mailConfig.transport === 'smtp') {
+            // Verify email connection
+            await getMailTransporter().verify();
+        } else {
+            getMailTransporter();
+            if (mailConfig.transport === 'file' || mailConfig.transport === 'json') {
+                await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
             }
-        });
-
-        // Verify email connection
-        await transporter.verify();
+        }
+        // Periodic re-checks only log when the state changes
+        if (!emailServerStatus) {
+            logger.info('Email server is ready to send messages', { transport: mailConfig.transport });
+        }
         emailServerStatus = true;
-        console.log('✅ Email server is ready to send messages');
         return true;
     } catch (error) {
         emailServerStatus = false;
-        console.error('❌ Email server verification failed:', error.message);
+        logger.error('Email server verification failed', { transport: mailConfig.transport, error });
         return false;
     }
 };
 
+// ==================== EMAIL TEMPLATES ====================
+
+/**
+ * Email Templates
+ * Templates live in templates/emails as <name>.<locale>.html/.txt plus a
+ * <name>.<locale>.json file holding the layout, subject and heading.
+ * Layouts live in templates/emails/layouts as <layout>.<locale>.html/.txt.
+ * Syntax:
+ * - {{key}}: HTML-escaped value (raw in plain-text templates)
+ * - {{{key}}}: unescaped value
+ * - {{#if key}}...{{else}}...{{/if}}: conditional block
+ */
+const EMAIL_TEMPLATE_DIR = path.join(__dirname, 'templates', 'emails');
+const EMAIL_DEFAULT_LOCALE = process.env.EMAIL_DEFAULT_LOCALE || 'en';
+
+// Sample data used by the preview endpoint
+const EMAIL_TEMPLATE_SAMPLES = {
+    'contact-user': {
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        phone: '+1 555 0100',
+        message: 'Hello,\nI would like to know more about your export data plans.',
+        subscribeUrl: 'https://api.example.com/api/v1/subscribe?email=jane%40example.com',
+        unsubscribeUrl: 'https://api.example.com/api/v1/unsubscribe?token=sample'
+    },
+    'contact-admin': {
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        phone: '',
+        message: 'Hello,\nI would like to know more about your export data plans.',
+        locale: 'en',
+        submittedAt: new Date().toLocaleString()
+    },
+    'newsletter-confirm': {
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        confirmUrl: 'https://api.example.com/api/v1/subscribe/confirm?token=sample'
+    },
+    'newsletter-digest': {
+        name: 'Jane Doe',
+        postCount: 1,
+        postsHtml: '<p><a href="https://example.com/blog/sample-post">Sample post</a></p>',
+        postsText: 'Sample post\nhttps://example.com/blog/sample-post',
+        unsubscribeUrl: 'https://api.example.com/api/v1/unsubscribe?token=sample'
+    }
+};
+
+// Sample values the preview may replace from the query. Only plain text that templates
+// print escaped ({{key}}) - raw values ({{{key}}}) and link targets always come from the sample
+const EMAIL_PREVIEW_OVERRIDE_FIELDS = ['name', 'email', 'phone', 'message', 'submittedAt', 'postCount'];
+
+// Cache file contents in production, always read fresh otherwise
+const emailTemplateCache = new Map();
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const readTemplateFile = async (file, { fresh = false } = {}) => {
+    const useCache = !fresh && process.env.NODE_ENV === 'production';
+
+    if (useCache && emailTemplateCache.has(file)) {
+        return emailTemplateCache.get(file);
+    }
+
+    try {
+        const content = await fs.promises.readFile(path.join(EMAIL_TEMPLATE_DIR, file), 'utf8');
+        if (useCache) emailTemplateCache.set(file, content);
+        return content;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+// Substitute variables into a template string
+const renderTemplateString = (source, data, { escape }) => {
+    const lookup = (key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+
+    return source
+        .replace(/{{#if\s+([\w.]+)\s*}}([\s\S]*?)(?:{{else}}([\s\S]*?))?{{\/if}}/g,
+            (match, key, truthy, falsy = '') => (lookup(key) ? truthy : falsy))
+        // Single pass so substituted values are never scanned for placeholders again
+        .replace(/{{{\s*([\w.]+)\s*}}}|{{\s*([\w.]+)\s*}}/g, (match, rawKey, key) => {
+            const value = lookup(rawKey || key);
+            if (value == null) return '';
+            return escape && !rawKey ? escapeHtml(value) : String(value);
+        });
+};
+
+// List the locales available for a template
+const getTemplateLocales = async (name) => {
+    const files = await fs.promises.readdir(EMAIL_TEMPLATE_DIR);
+    const pattern = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.([\\w-]+)\\.json$`);
+
+    return files
+        .map(file => (file.match(pattern) || [])[1])
+        .filter(Boolean);
+};
+
+// Pick the best available locale for a template (exact, then base language, then default)
+const resolveTemplateLocale = async (name, requested) => {
+    const available = await getTemplateLocales(name);
+    const candidates = [];
+
+    if (requested) {
+        const normalized = String(requested).trim().toLowerCase();
+        candidates.push(normalized, normalized.split(/[-_]/)[0]);
+    }
+    candidates.push(EMAIL_DEFAULT_LOCALE);
+
+    return candidates.find(locale => available.includes(locale)) || null;
+};
+
+/**
+ * Render an email template with its layout.
+ * Returns { subject, html, text, locale }.
+ */
+const renderEmailTemplate = async (name, locale, data, options = {}) => {
+    const resolvedLocale = await resolveTemplateLocale(name, locale);
+
+    if (!resolvedLocale) {
+        const error = new Error(`Email template "${name}" not found`);
+        error.code = 'TEMPLATE_NOT_FOUND';
+        throw error;
+    }
+
+    const meta = JSON.parse(await readTemplateFile(`${name}.${resolvedLocale}.json`, options));
+    const context = {
+        year: new Date().getFullYear(),
+        locale: resolvedLocale,
+        ...data
+    };
+
+    // Strings from the meta file are plain text, so escaping happens where they are used
+    const subject = renderTemplateString(meta.subject || '', context, { escape: false });
+    const heading = renderTemplateString(meta.heading || '', context, { escape: false });
+    const layoutContext = { ...context, heading, subject };
+
+    const render = async (extension, escape) => {
+        const body = await readTemplateFile(`${name}.${resolvedLocale}.${extension}`, options);
+        if (body == null) return null;
+
+        const renderedBody = renderTemplateString(body, context, { escape });
+        if (!meta.layout) return renderedBody;
+
+        // Fall back to the default locale when a layout has no translation
+        const layout = await readTemplateFile(`layouts/${meta.layout}.${resolvedLocale}.${extension}`, options)
+            || await readTemplateFile(`layouts/${meta.layout}.${EMAIL_DEFAULT_LOCALE}.${extension}`, options);
+        if (layout == null) return renderedBody;
+
+        return renderTemplateString(layout, { ...layoutContext, body: renderedBody }, { escape });
+    };
+
+    return {
+        subject,
+        html: await render('html', true),
+        text: await render('txt', false),
+        locale: resolvedLocale
+    };
+};
+
 // MongoDB connection options to fix buffering timeout issues
 const mongoOptions = {
     serverSelectionTimeoutMS: 30000,
@@ -50,18 +524,22 @@ const mongoOptions = {
 // Connect to MongoDB
 const mongoURI = process.env.MONGO_URI;
 let dbStatus = false;
+let dbRetryTimer = null;
+
+// Set once SIGTERM/SIGINT is received - see shutdown()
+let shuttingDown = false;
 
 const ConnectDB = async () => {
     try {
         await mongoose.connect(mongoURI, mongoOptions);
         dbStatus = true;
-        console.log("✅ MongoDB Connected Successfully");
+        logger.info('MongoDB connected successfully');
         return true;
     } catch (err) {
         dbStatus = false;
-        console.error("❌ MongoDB Connection Error:", err.message);
-        console.log("🔄 Retrying connection in 5 seconds...");
-        setTimeout(ConnectDB, 5000);
+        if (shuttingDown) return false;
+        logger.error('MongoDB connection failed, retrying in 5 seconds', { error: err });
+        dbRetryTimer = setTimeout(ConnectDB, 5000);
         return false;
     }
 };
@@ -69,43 +547,243 @@ const ConnectDB = async () => {
 // Handle MongoDB connection events
 mongoose.connection.on("error", (err) => {
     dbStatus = false;
-    console.error("❌ MongoDB connection error:", err);
+    logger.error('MongoDB connection error', { error: err });
 });
 
 mongoose.connection.on("disconnected", () => {
     dbStatus = false;
-    console.log("❌ MongoDB disconnected. Attempting to reconnect...");
+    metrics.dbDisconnects.inc();
+    // The connection is closed on purpose during shutdown
+    if (shuttingDown) return;
+    logger.warn('MongoDB disconnected, attempting to reconnect');
     ConnectDB();
 });
 
+// Set after the first successful connect so later ones count as reconnects
+let dbHasConnected = false;
+
 mongoose.connection.on("connected", () => {
     dbStatus = true;
-    console.log("✅ MongoDB connection established");
+    if (dbHasConnected) metrics.dbReconnects.inc();
+    dbHasConnected = true;
+    logger.info('MongoDB connection established');
 });
 
-// CORS middleware with more secure configuration
-app.use(cors({
-  origin: true, // Allow requests from any origin
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true
-}));
+// Trust X-Forwarded-For from a reverse proxy so req.ip is the visitor's address
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
+// Accept a caller-supplied request id only if it is short and printable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request Context Middleware
+ * Assigns every request an id (from X-Request-Id or freshly generated),
+ * echoes it back, runs the rest of the chain inside the log context and
+ * writes an access log line once the response is done.
+ */
+app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const context = { req };
+    const startedAt = process.hrtime.bigint();
+
+    res.on('close', () => {
+        const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        recordRequestMetrics(req, res, latencyMs / 1000);
+        const level = res.statusCode >= 500 && res.statusCode !== 503 ? 'error'
+            : !res.writableFinished || res.statusCode >= 400 ? 'warn' : 'info';
+
+        requestContext.run(context, () => logger[level](res.writableFinished ? 'request completed' : 'request aborted', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            latencyMs: Math.round(latencyMs * 100) / 100,
+            contentLength: Number(res.get('Content-Length')) || undefined,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        }));
+    });
+
+    requestContext.run(context, next);
+});
+
+// Ask keep-alive clients to reconnect once the server starts draining
+app.use((req, res, next) => {
+    if (shuttingDown) res.set('Connection', 'close');
+    next();
+});
+
+/**
+ * Security Headers Middleware
+ * Sent on every response. API responses are data, never documents, so the
+ * default CSP blocks everything; the HTML pages replace it with their own
+ * nonce-based policy (see setHtmlPageSecurity). HSTS is only sent over HTTPS
+ * (set TRUST_PROXY behind a TLS-terminating proxy) and HSTS_MAX_AGE=0 turns it off.
+ */
+const HSTS_MAX_AGE = process.env.HSTS_MAX_AGE !== undefined ? parseInt(process.env.HSTS_MAX_AGE, 10) || 0 : 15552000;
+const API_CSP = "default-src 'none'; frame-ancestors 'none'";
+
+app.disable('x-powered-by');
 
-// Middleware to parse JSON bodies
-app.use(express.json({ limit: "10mb" })); // Increase payload limit
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+app.use((req, res, next) => {
+    res.set({
+        'Content-Security-Policy': API_CSP,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'strict-origin-when-cross-origin'
+    });
+
+    if (HSTS_MAX_AGE > 0 && req.secure) {
+        res.set('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+    }
+    next();
+});
+
+// CSP for the server's own HTML pages: inline styles and scripts only with this response's nonce
+const setHtmlPageSecurity = (res) => {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.set('Content-Security-Policy', [
+        "default-src 'none'",
+        `style-src 'nonce-${nonce}'`,
+        `script-src 'nonce-${nonce}'`,
+        "img-src 'self' data:",
+        "base-uri 'none'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; '));
+    return nonce;
+};
+
+/**
+ * CORS
+ * CORS_ORIGINS is a comma separated allowlist of origins; "https://*.example.com"
+ * matches any subdomain and "*" matches everything. It defaults to the origin of
+ * SITE_URL. Public reads (CORS_PUBLIC_ROUTES) are open to CORS_PUBLIC_ORIGINS
+ * (default "*") without credentials; everything else - admin reads and every
+ * write - only answers allowlisted origins, with credentials.
+ */
+const parseOriginPatterns = (value) => String(value || '')
+    .split(',')
+    .map((entry) => entry.trim().replace(/\/+$/, ''))
+    .filter(Boolean)
+    .map((entry) => {
+        if (entry === '*') return /^.*$/;
+        const source = entry
+            .split('*')
+            .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+        return new RegExp(`^${source}$`, 'i');
+    });
+
+const getSiteOrigin = () => {
+    try {
+        return process.env.SITE_URL ? new URL(process.env.SITE_URL).origin : '';
+    } catch (error) {
+        return '';
+    }
+};
+
+const CORS_ALLOWED_ORIGINS = parseOriginPatterns(process.env.CORS_ORIGINS || getSiteOrigin());
+const CORS_PUBLIC_ORIGINS = process.env.CORS_PUBLIC_ORIGINS || '*';
+const CORS_PUBLIC_PATTERNS = parseOriginPatterns(CORS_PUBLIC_ORIGINS);
+
+if (!CORS_ALLOWED_ORIGINS.length) {
+    logger.warn('CORS_ORIGINS is not set - cross-origin requests to restricted routes will be refused');
+}
+
+// Read-only endpoints any website may call. Blog ids must be ObjectIds so
+// admin paths beside them (/blogs/export, /blogs/trash) keep the restricted policy.
+const CORS_PUBLIC_ROUTES = [
+    /^\/api\/blogs$/,
+    /^\/api\/blog\/[0-9a-f]{24}$/i,
+    /^\/api\/v1\/blogs(\/slug\/[^/]+|\/[0-9a-f]{24}(\/related)?)?$/i,
+    /^\/api\/v1\/(tags|categories)(\/[^/]+)?$/,
+    /^\/api\/(v1\/)?status$/,
+    /^\/api\/v1\/health\/(live|ready)$/,
+    /^\/api\/v1\/(openapi\.json|docs)$/,
+    /^\/(feed(\/[^/]+)?\.(rss|atom)|sitemap\.xml)$/
+];
+
+const isOriginAllowed = (origin, patterns) => Boolean(origin) && patterns.some((pattern) => pattern.test(origin));
+
+const CORS_BASE_OPTIONS = {
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'Deprecation', 'Sunset', 'Link'],
+    maxAge: 600
+};
+
+const corsPolicies = {
+    public: {
+        ...CORS_BASE_OPTIONS,
+        origin: CORS_PUBLIC_ORIGINS === '*'
+            ? '*'
+            : (origin, callback) => callback(null, isOriginAllowed(origin, CORS_PUBLIC_PATTERNS)),
+        methods: ['GET', 'HEAD', 'OPTIONS'],
+        credentials: false
+    },
+    restricted: {
+        ...CORS_BASE_OPTIONS,
+        origin: (origin, callback) => callback(null, isOriginAllowed(origin, CORS_ALLOWED_ORIGINS)),
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        credentials: true
+    }
+};
+
+// Preflights are matched on the method they ask about
+const getCorsPolicy = (req) => {
+    const method = req.method === 'OPTIONS'
+        ? String(req.get('Access-Control-Request-Method') || '').toUpperCase()
+        : req.method;
+    const isRead = method === 'GET' || method === 'HEAD';
+
+    return isRead && CORS_PUBLIC_ROUTES.some((route) => route.test(req.path)) ? 'public' : 'restricted';
+};
+
+app.use(cors((req, callback) => callback(null, corsPolicies[getCorsPolicy(req)])));
+
+// Body parsers - BODY_LIMIT caps JSON and form payloads (default 10mb, for blog content)
+const BODY_LIMIT = process.env.BODY_LIMIT || '10mb';
+
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT }));
 
 // ==================== MODELS ====================
 
+// Trim, lowercase and de-duplicate tags ("HS 0901 " and "hs 0901" are the same tag)
+const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list
+        .map(tag => String(tag).trim().replace(/\s+/g, ' ').toLowerCase())
+        .filter(Boolean)
+        .map(tag => tag.slice(0, 50)))];
+};
+
 /**
  * Blog Schema
  * Defines the structure for blog documents in MongoDB
  * Fields:
  * - title: String (required)
- * - description: String (required)
- * - category: String (required)
+ * - description: String (required, raw markdown or HTML)
+ * - contentFormat: String (enum: ['markdown', 'html'], default: 'markdown')
+ * - descriptionHtml, excerpt, wordCount, readingTime, toc: derived from description on save
+ * - category: ObjectId (ref: Category, required)
  * - imageUrl: String (required)
  * - status: String (enum: ['published', 'draft'], default: 'draft')
+ * - tags: [String] (normalized keywords such as HS codes, countries, commodities)
+ * - publishAt: Date (optional, a draft is published automatically at this time)
+ * - unpublishAt: Date (optional, a published blog goes back to draft at this time)
+ * - publishedAt: Date (set the first time the blog is published, used by the newsletter digest)
+ * - slug: String (unique, generated from the title)
+ * - slugHistory: [String] (previous slugs, used for redirects)
+ * - seo: Object (optional metaTitle, metaDescription, canonicalUrl, ogImage)
+ * - viewCount: Number (de-duplicated views of the published post, see BlogViewDaily)
+ * - deletedAt: Date (set when the blog is moved to the trash, null otherwise)
+ * - deletedBy: ObjectId (ref: User who moved it to the trash)
  * - createdAt: Date (automatically set)
  * - updatedAt: Date (automatically updated)
  */
@@ -121,10 +799,26 @@ const BlogSchema = new mongoose.Schema({
         required: [true, 'Blog description is required'],
         trim: true
     },
-    category: {
+    contentFormat: {
         type: String,
+        enum: ['markdown', 'html'],
+        default: 'markdown'
+    },
+    descriptionHtml: String,
+    excerpt: String,
+    wordCount: Number,
+    readingTime: Number,
+    toc: [{
+        _id: false,
+        level: Number,
+        text: String,
+        id: String
+    }],
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
         required: [true, 'Blog category is required'],
-        trim: true
+        index: true
     },
     imageUrl: {
         type: String,
@@ -135,503 +829,6350 @@ const BlogSchema = new mongoose.Schema({
         type: String,
         enum: ['published', 'draft'],
         default: 'draft'
+    },
+    tags: {
+        type: [String],
+        default: [],
+        set: (tags) => normalizeTags(tags),
+        validate: {
+            validator: (tags) => tags.length <= 20,
+            message: 'A blog cannot have more than 20 tags'
+        }
+    },
+    publishAt: {
+        type: Date,
+        default: null
+    },
+    unpublishAt: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function (value) {
+                return !value || !this.publishAt || value > this.publishAt;
+            },
+            message: 'unpublishAt must be after publishAt'
+        }
+    },
+    publishedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true, // Posts created before slugs existed are backfilled on boot
+        lowercase: true,
+        trim: true
+    },
+    slugHistory: {
+        type: [String],
+        index: true,
+        default: []
+    },
+    seo: {
+        metaTitle: {
+            type: String,
+            trim: true,
+            maxlength: [70, 'Meta title cannot be more than 70 characters']
+        },
+        metaDescription: {
+            type: String,
+            trim: true,
+            maxlength: [160, 'Meta description cannot be more than 160 characters']
+        },
+        canonicalUrl: {
+            type: String,
+            trim: true
+        },
+        ogImage: {
+            type: String,
+            trim: true
+        }
+    },
+    viewCount: {
+        type: Number,
+        default: 0,
+        index: true
+    },
+    deletedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, {
-    timestamps: true // Automatically create createdAt and updatedAt fields
+    timestamps: true, // Automatically create createdAt and updatedAt fields
+    toJSON: {
+        virtuals: true,
+        // Responses carry the effective status, so a draft whose publishAt has passed reads as published
+        transform: (doc, ret) => {
+            if (ret.status) ret.status = isBlogLive(doc) ? 'published' : 'draft';
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
 });
 
-const Blog = mongoose.model('Blog', BlogSchema);
+BlogSchema.index({ tags: 1 });
 
-// ==================== MIDDLEWARE ====================
+// Trashed blogs are invisible to every query and aggregation unless it filters
+// on deletedAt itself or passes the withDeleted option
+BlogSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+});
+
+BlogSchema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+    if (this.options.withDeleted) return;
+
+    // Merge into a leading $match, which has to stay first when it holds a $text search
+    if (first && first.$match) {
+        if (first.$match.deletedAt === undefined) pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+    } else {
+        pipeline.unshift({ $match: { deletedAt: null } });
+    }
+});
+
+BlogSchema.index({ status: 1, publishAt: 1 });
+BlogSchema.index({ status: 1, unpublishAt: 1 });
+
+// Tags and attributes allowed in rendered blog content
+const BLOG_SANITIZE_OPTIONS = {
+    allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'h1', 'h2'],
+    allowedAttributes: {
+        a: ['href', 'name', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        th: ['colspan', 'rowspan', 'align'],
+        td: ['colspan', 'rowspan', 'align'],
+        code: ['class']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    transformTags: {
+        // Links opening a new tab must not get access to window.opener
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: attribs.target ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+        })
+    }
+};
+
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+const htmlToText = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
 
 /**
- * Error Handler Middleware
- * Handles errors throughout the application
+ * Render blog content to safe HTML and derive the excerpt,
+ * word count, reading time (200 wpm) and a heading based TOC
  */
-const errorHandler = (err, req, res, next) => {
-    // Log error for server-side debugging
-    console.error(err.stack);
-    
-    // Default error status and message
-    const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
-    
-    res.status(statusCode).json({
-        success: false,
-        error: err.message || 'Server Error',
-        stack: process.env.NODE_ENV === 'production' ? null : err.stack
+const renderBlogContent = (description, contentFormat = 'markdown') => {
+    const source = description || '';
+    const unsafeHtml = contentFormat === 'html' ? source : marked.parse(source);
+    let html = sanitizeHtml(unsafeHtml, BLOG_SANITIZE_OPTIONS);
+
+    // Give every heading a unique anchor id and collect the table of contents
+    const toc = [];
+    const usedIds = new Map();
+    html = html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+        const text = htmlToText(inner);
+        const base = slugify(text) || 'section';
+        const seen = usedIds.get(base) || 0;
+        const id = seen ? `${base}-${seen + 1}` : base;
+        usedIds.set(base, seen + 1);
+        toc.push({ level: Number(level), text, id });
+        return `<h${level} id="${id}">${inner}</h${level}>`;
     });
+
+    const text = htmlToText(html);
+    const wordCount = text ? text.split(' ').length : 0;
+    const excerpt = text.length > 200 ? `${text.slice(0, 200).replace(/\s+\S*$/, '')}…` : text;
+
+    return {
+        descriptionHtml: html,
+        excerpt,
+        wordCount,
+        readingTime: Math.max(1, Math.ceil(wordCount / 200)),
+        toc
+    };
 };
 
-// ==================== CONTROLLERS ====================
+// Keep the rendered and derived fields in sync with the raw content
+BlogSchema.pre('validate', function (next) {
+    // Derived fields are never taken from the request, so recompute if anything touched them
+    const sourceFields = ['description', 'contentFormat', 'descriptionHtml', 'excerpt', 'wordCount', 'readingTime', 'toc'];
+    if (this.isNew || this.descriptionHtml == null || sourceFields.some(field => this.isModified(field))) {
+        this.set(renderBlogContent(this.description, this.contentFormat));
+    }
+    next();
+});
 
-/**
- * Blog Controller
- * Contains all the CRUD operations for blog posts
- */
+// Stamp the first publication (scheduled publishes set it in the scheduler's update)
+BlogSchema.pre('validate', function (next) {
+    if (this.status === 'published' && !this.publishedAt) {
+        this.publishedAt = new Date();
+    }
+    next();
+});
 
-// @desc    Get all blogs
-// @route   GET /api/blogs
-// @access  Public
-const getBlogs = async (req, res, next) => {
+// publishAt and unpublishAt stay set once the scheduler has applied them. A manual
+// status change overrides a schedule that already fired, or the old date would
+// keep the post live (or hidden) and the scheduler would flip it straight back.
+BlogSchema.pre('validate', function (next) {
+    if (this.isNew || !this.isModified('status')) return next();
+
+    const now = new Date();
+    if (this.status === 'draft' && !this.isModified('publishAt') && this.publishAt && this.publishAt <= now) {
+        this.publishAt = null;
+    }
+    if (this.status === 'published' && !this.isModified('unpublishAt') && this.unpublishAt && this.unpublishAt <= now) {
+        this.unpublishAt = null;
+    }
+    next();
+});
+
+// Turn a title into a URL-safe slug
+const slugify = (text) => String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/g, '') || 'post';
+
+// Generate a unique slug whenever the title (or a manual slug) changes,
+// keeping the previous one in slugHistory so old links can redirect
+BlogSchema.pre('validate', async function (next) {
     try {
-        // Add query parameters for filtering
-        const filter = {};
-        
-        // Filter by status if provided
-        if (req.query.status) {
-            filter.status = req.query.status;
+        const slugChanged = this.isModified('slug') && this.slug;
+        if (!this.isNew && !slugChanged && !this.isModified('title')) return next();
+
+        const previousSlug = this.isNew ? null : (await this.constructor.findById(this._id).select('slug').setOptions({ withDeleted: true }))?.slug;
+        const base = slugify(slugChanged ? this.slug : this.title);
+
+        // Append -2, -3, ... until no other blog uses the slug (current or historic, trashed included)
+        let candidate = base;
+        let suffix = 2;
+        while (await this.constructor.exists({
+            _id: { $ne: this._id },
+            $or: [{ slug: candidate }, { slugHistory: candidate }]
+        }).setOptions({ withDeleted: true })) {
+            candidate = `${base}-${suffix++}`;
         }
-        
-        // Filter by category if provided
-        if (req.query.category) {
-            filter.category = req.query.category;
+
+        this.slug = candidate;
+
+        if (previousSlug && previousSlug !== candidate) {
+            this.slugHistory = [...new Set([...this.slugHistory, previousSlug])].filter(old => old !== candidate);
         }
-        
-        const blogs = await Blog.find(filter).sort({ createdAt: -1 });
-        
-        res.status(200).json({
-            success: true,
-            count: blogs.length,
-            data: blogs
-        });
+        next();
     } catch (error) {
         next(error);
     }
+});
+
+// Resolved SEO metadata, falling back to the regular blog fields
+BlogSchema.virtual('meta').get(function () {
+    const seo = this.seo || {};
+    const plainDescription = this.excerpt || htmlToText(this.description || '');
+    const siteUrl = (process.env.SITE_URL || '').replace(/\/+$/, '');
+
+    return {
+        title: seo.metaTitle || this.title,
+        description: seo.metaDescription || (plainDescription.length > 160 ? `${plainDescription.slice(0, 157)}...` : plainDescription),
+        canonicalUrl: seo.canonicalUrl || (siteUrl && this.slug ? `${siteUrl}/blog/${this.slug}` : null),
+        ogImage: seo.ogImage || this.imageUrl
+    };
+});
+
+// Full-text search over title and description (title matches rank higher)
+BlogSchema.index(
+    { title: 'text', description: 'text' },
+    { weights: { title: 5, description: 1 }, name: 'blog_text_search' }
+);
+
+const Blog = mongoose.model('Blog', BlogSchema);
+
+/**
+ * Query conditions for the status a blog has *right now*, taking
+ * publishAt/unpublishAt into account even before the scheduler runs
+ */
+const getEffectiveStatusFilter = (status, now = new Date()) => {
+    const notExpired = { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] };
+    const isLive = {
+        $or: [
+            { status: 'published' },
+            { status: 'draft', publishAt: { $ne: null, $lte: now } }
+        ]
+    };
+
+    if (status === 'published') {
+        return { $and: [isLive, notExpired] };
+    }
+
+    // Drafts: not live, or live but already past unpublishAt
+    return {
+        $or: [
+            { status: 'draft', $or: [{ publishAt: null }, { publishAt: { $gt: now } }] },
+            { $and: [isLive, { unpublishAt: { $ne: null, $lte: now } }] }
+        ]
+    };
+};
+
+// In-memory counterpart of getEffectiveStatusFilter('published')
+const isBlogLive = (blog, now = new Date()) => {
+    const live = blog.status === 'published' || (blog.publishAt && blog.publishAt <= now);
+    return Boolean(live) && !(blog.unpublishAt && blog.unpublishAt <= now);
+};
+
+/**
+ * Category Schema
+ * Blog categories, referenced by Blog.category
+ * Fields:
+ * - name: String (required)
+ * - slug: String (unique, generated from the name)
+ * - description: String
+ * - order: Number (display order, lowest first)
+ * - createdAt: Date (automatically set)
+ * - updatedAt: Date (automatically updated)
+ */
+const CategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        trim: true,
+        maxlength: [50, 'Category name cannot be more than 50 characters']
+    },
+    slug: {
+        type: String,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Derive the slug from the name, so "Trade" and "trade " end up as the same category
+CategorySchema.pre('validate', function (next) {
+    if (this.isModified('name') || !this.slug) {
+        this.name = this.name.replace(/\s+/g, ' ');
+        this.slug = slugify(this.name);
+    }
+    next();
+});
+
+const Category = mongoose.model('Category', CategorySchema);
+
+// Find a category by id, slug or (loosely matched) name
+const resolveCategory = async (value) => {
+    if (!value) return null;
+    if (value instanceof mongoose.Types.ObjectId || value._id) {
+        return Category.findById(value._id || value);
+    }
+
+    const text = String(value);
+    if (/^[a-f0-9]{24}$/i.test(text)) {
+        const category = await Category.findById(text);
+        if (category) return category;
+    }
+
+    return Category.findOne({ slug: slugify(text) });
+};
+
+/**
+ * Blog Revision Schema
+ * Snapshot of a blog taken right before it was changed
+ * Fields:
+ * - blog: ObjectId (ref: Blog)
+ * - version: Number (1 for the first snapshot of a blog)
+ * - snapshot: Object (the blog's content fields before the change)
+ * - changedFields: [String] (fields the change modified)
+ * - changedBy: ObjectId (ref: User who made the change)
+ * - action: String (enum: ['update', 'restore', 'schedule', 'import'])
+ * - createdAt: Date (when the change happened)
+ */
+const BlogRevisionSchema = new mongoose.Schema({
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true,
+        index: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    changedFields: {
+        type: [String],
+        default: []
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    action: {
+        type: String,
+        enum: ['update', 'restore', 'schedule', 'import'],
+        default: 'update'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+BlogRevisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+// Blog fields captured in every revision
+const BLOG_REVISION_FIELDS = ['title', 'description', 'contentFormat', 'category', 'tags', 'imageUrl', 'status', 'slug', 'seo'];
+
+const BlogRevision = mongoose.model('BlogRevision', BlogRevisionSchema);
+
+/**
+ * User Schema
+ * Defines the admin users allowed to manage content
+ * Fields:
+ * - name: String (required)
+ * - email: String (required, unique)
+ * - password: String (required, hashed, never returned by default)
+ * - role: String (enum: ['admin', 'editor'], default: 'editor')
+ * - createdAt: Date (automatically set)
+ * - updatedAt: Date (automatically updated)
+ */
+const UserSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [8, 'Password must be at least 8 characters'],
+        select: false // Never return the hash unless explicitly requested
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'editor'],
+        default: 'editor'
+    }
+}, {
+    timestamps: true
+});
+
+// Hash the password whenever it is set or changed
+UserSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) {
+        return next();
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+});
+
+// Compare a plain text password with the stored hash
+UserSchema.methods.matchPassword = async function (enteredPassword) {
+    return bcrypt.compare(enteredPassword, this.password);
+};
+
+// Sign a JWT carrying the user id and role
+UserSchema.methods.getSignedJwtToken = function () {
+    return jwt.sign(
+        { id: this._id, role: this.role },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRE || '1d' }
+    );
+};
+
+const User = mongoose.model('User', UserSchema);
+
+/**
+ * Inquiry Schema
+ * Stores every contact form submission as an inbox item
+ * Fields:
+ * - name, email, phone, message: submitted contact details
+ * - status: String (enum: ['new', 'in_progress', 'resolved', 'spam'], default: 'new')
+ * - assignee: ObjectId (ref: User)
+ * - notes: internal notes left by staff
+ * - locale: String (language used for the confirmation email)
+ * - ip, userAgent: where the submission came from
+ * - messageHash: String (hash of the normalized message, for duplicate detection)
+ * - spamScore, spamReasons: result of the spam scorers
+ * - emailStatus: String (enum: ['pending', 'sent', 'failed', 'held'], default: 'pending')
+ * - createdAt: Date (automatically set)
+ * - updatedAt: Date (automatically updated)
+ */
+const InquiryNoteSchema = new mongoose.Schema({
+    body: {
+        type: String,
+        required: [true, 'Note body is required'],
+        trim: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+const InquirySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    message: {
+        type: String,
+        required: [true, 'Message is required'],
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['new', 'in_progress', 'resolved', 'spam'],
+        default: 'new'
+    },
+    assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    notes: [InquiryNoteSchema],
+    locale: {
+        type: String,
+        default: 'en'
+    },
+    ip: String,
+    userAgent: String,
+    messageHash: String,
+    spamScore: {
+        type: Number,
+        default: 0
+    },
+    spamReasons: {
+        type: [String],
+        default: []
+    },
+    // "held" means the spam score was too high and no email was queued
+    emailStatus: {
+        type: String,
+        enum: ['pending', 'sent', 'failed', 'held'],
+        default: 'pending'
+    }
+}, {
+    timestamps: true
+});
+
+InquirySchema.index({ status: 1, createdAt: -1 });
+InquirySchema.index({ email: 1, messageHash: 1, createdAt: -1 });
+
+// Allowed status changes for the inquiry workflow
+const INQUIRY_TRANSITIONS = {
+    new: ['in_progress', 'resolved', 'spam'],
+    in_progress: ['resolved', 'spam'],
+    resolved: ['in_progress'],
+    spam: ['new']
+};
+
+const Inquiry = mongoose.model('Inquiry', InquirySchema);
+
+/**
+ * Outbox Email Schema
+ * Durable queue of outgoing emails processed by the outbox worker
+ * Fields:
+ * - mailOptions: Object (nodemailer message options)
+ * - status: String (enum: ['queued', 'sending', 'sent', 'dead'], default: 'queued')
+ * - attempts: Number of send attempts so far
+ * - maxAttempts: Number of attempts before the message is dead-lettered
+ * - nextAttemptAt: Date the message becomes eligible for sending
+ * - lockedAt: Date a worker claimed the message
+ * - lastError: String (last send error message)
+ * - sentAt: Date the message was delivered to the mail server
+ * - inquiry: ObjectId (ref: Inquiry, optional)
+ */
+const OutboxEmailSchema = new mongoose.Schema({
+    mailOptions: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Mail options are required']
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'dead'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: () => parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    inquiry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inquiry',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+OutboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const OutboxEmail = mongoose.model('OutboxEmail', OutboxEmailSchema);
+
+/**
+ * Subscriber Schema
+ * Newsletter subscribers. Unsubscribed addresses are kept so they
+ * also act as a suppression list.
+ * Fields:
+ * - email: String (required, unique)
+ * - name: String (optional)
+ * - locale: String (language used for newsletter emails)
+ * - status: String (enum: ['pending', 'confirmed', 'unsubscribed'], default: 'pending')
+ * - confirmationSentAt: Date the last confirmation email was queued
+ * - confirmedAt: Date the subscriber confirmed their address
+ * - unsubscribedAt: Date the subscriber opted out
+ * - ip: String (where the subscription request came from)
+ * - createdAt: Date (automatically set)
+ * - updatedAt: Date (automatically updated)
+ */
+const SubscriberSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    locale: {
+        type: String,
+        default: 'en'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'unsubscribed'],
+        default: 'pending'
+    },
+    confirmationSentAt: {
+        type: Date,
+        default: null
+    },
+    confirmedAt: {
+        type: Date,
+        default: null
+    },
+    unsubscribedAt: {
+        type: Date,
+        default: null
+    },
+    ip: String
+}, {
+    timestamps: true
+});
+
+SubscriberSchema.index({ status: 1, createdAt: -1 });
+
+const Subscriber = mongoose.model('Subscriber', SubscriberSchema);
+
+/**
+ * Newsletter Digest Schema
+ * One record per digest sent, so the next digest knows where to start
+ * Fields:
+ * - status: String (sending: claimed by a running send, at most one at a time; sent)
+ * - since, until: Date (blogs published in this window were included)
+ * - blogs: [ObjectId] (ref: Blog)
+ * - recipients: Number of confirmed subscribers the digest was queued for
+ * - sentBy: ObjectId (ref: User)
+ * - lockedAt: Date (when the running send claimed the digest)
+ * - createdAt: Date (automatically set, when the digest was claimed)
+ */
+const NewsletterDigestSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['sending', 'sent'],
+        default: 'sent'
+    },
+    // Known once the claim has looked up the previous digest
+    since: {
+        type: Date,
+        required: function () { return this.status === 'sent'; }
+    },
+    until: {
+        type: Date,
+        required: true
+    },
+    blogs: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blog'
+    }],
+    recipients: {
+        type: Number,
+        default: 0
+    },
+    sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lockedAt: Date
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+NewsletterDigestSchema.index({ until: -1 });
+// Only one digest can be sending at a time, so a second claim fails with a duplicate key
+NewsletterDigestSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'sending' } });
+
+const NewsletterDigest = mongoose.model('NewsletterDigest', NewsletterDigestSchema);
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['blog.created', 'blog.published', 'blog.deleted', 'contact.submitted'];
+
+/**
+ * Webhook Schema
+ * Outgoing webhook subscriptions
+ * Fields:
+ * - url: String (required, http or https endpoint that receives the events)
+ * - events: [String] (required, subset of WEBHOOK_EVENTS)
+ * - secret: String (HMAC key for the signature header, only returned on create and rotation)
+ * - description: String (optional)
+ * - active: Boolean (default: true, inactive webhooks receive nothing)
+ * - createdBy: ObjectId (ref: User)
+ * - createdAt: Date (automatically set)
+ * - updatedAt: Date (automatically updated)
+ */
+const WebhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS
+        }],
+        validate: {
+            validator: (events) => events.length > 0,
+            message: 'At least one event is required'
+        }
+    },
+    secret: {
+        type: String,
+        select: false,
+        default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+/**
+ * Webhook Delivery Schema
+ * Durable queue of webhook calls processed by the webhook worker, with
+ * one log entry per attempt
+ * Fields:
+ * - webhook: ObjectId (ref: Webhook)
+ * - event: String (one of WEBHOOK_EVENTS)
+ * - payload: Object (the event data, sent as "data" in the request body)
+ * - status: String (enum: ['queued', 'sending', 'delivered', 'dead'], default: 'queued')
+ * - attempts: Number of attempts so far
+ * - maxAttempts: Number of attempts before the delivery is dead-lettered
+ * - nextAttemptAt: Date the delivery becomes eligible for sending
+ * - lockedAt: Date a worker claimed the delivery
+ * - deliveredAt: Date the endpoint answered with a 2xx status
+ * - attemptLog: [{ at, statusCode, durationMs, error, responseBody }]
+ */
+const WebhookAttemptSchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    statusCode: Number,
+    durationMs: Number,
+    error: String,
+    responseBody: String
+}, {
+    _id: false
+});
+
+const WebhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    event: {
+        type: String,
+        enum: WEBHOOK_EVENTS,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'delivered', 'dead'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    attemptLog: [WebhookAttemptSchema]
+}, {
+    timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+/**
+ * Blog View Schema
+ * One document per blog and visitor, kept for BLOG_VIEW_DEDUPE_WINDOW so
+ * repeat views inside the window are not counted again
+ * Fields:
+ * - blog: ObjectId (ref: Blog)
+ * - visitor: String (hash of the client IP and user agent, never the raw values)
+ * - viewedAt: Date (the document expires one window after this)
+ */
+const BLOG_VIEW_DEDUPE_WINDOW_MS = parseInt(process.env.BLOG_VIEW_DEDUPE_WINDOW_MS, 10) || 30 * 60 * 1000;
+
+const BlogViewSchema = new mongoose.Schema({
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true
+    },
+    visitor: {
+        type: String,
+        required: true
+    },
+    viewedAt: {
+        type: Date,
+        default: Date.now,
+        expires: Math.ceil(BLOG_VIEW_DEDUPE_WINDOW_MS / 1000)
+    }
+});
+
+BlogViewSchema.index({ blog: 1, visitor: 1 }, { unique: true });
+
+const BlogView = mongoose.model('BlogView', BlogViewSchema);
+
+/**
+ * Blog View Daily Schema
+ * Counted views per blog and UTC day, the source for the analytics endpoints
+ * Fields:
+ * - blog: ObjectId (ref: Blog)
+ * - category: ObjectId (ref: Category the blog had when it was viewed)
+ * - day: Date (UTC midnight)
+ * - views: Number
+ */
+const BlogViewDailySchema = new mongoose.Schema({
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    day: {
+        type: Date,
+        required: true
+    },
+    views: {
+        type: Number,
+        default: 0
+    }
+});
+
+BlogViewDailySchema.index({ blog: 1, day: 1 }, { unique: true });
+BlogViewDailySchema.index({ day: 1, category: 1 });
+
+const BlogViewDaily = mongoose.model('BlogViewDaily', BlogViewDailySchema);
+
+// ==================== MIDDLEWARE ====================
+
+// Machine-readable error codes used when none is given explicitly
+const DEFAULT_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * ErrorResponse
+ * Error with an HTTP status, a machine-readable code and optional
+ * per-field details, rendered by the error handler as
+ * { success: false, error: { code, message, details } }
+ */
+class ErrorResponse extends Error {
+    constructor(message, statusCode = 500, code, details) {
+        super(message);
+        this.name = 'ErrorResponse';
+        this.statusCode = statusCode;
+        this.code = code || DEFAULT_ERROR_CODES[statusCode] || 'ERROR';
+        this.details = details;
+    }
+}
+
+// Translate library errors (Mongoose, body-parser, JWT) into ErrorResponse
+const normalizeError = (err) => {
+    if (err instanceof ErrorResponse) return err;
+
+    if (err.name === 'ValidationError' && err.errors) {
+        const details = Object.values(err.errors).map(val => ({
+            field: `body.${val.path}`,
+            message: val.message,
+            type: val.kind
+        }));
+        return new ErrorResponse('Validation failed', 400, 'VALIDATION_ERROR', details);
+    }
+    if (err.name === 'CastError') {
+        return new ErrorResponse(`Invalid value for ${err.path}`, 400, 'INVALID_ID');
+    }
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyValue || {})[0] || 'value';
+        return new ErrorResponse(`A record with this ${field} already exists`, 409, 'DUPLICATE_KEY', [
+            { field: `body.${field}`, message: `${field} must be unique`, type: 'unique' }
+        ]);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return new ErrorResponse('Request body is not valid JSON', 400, 'INVALID_JSON');
+    }
+    if (err.type === 'entity.too.large') {
+        return new ErrorResponse('Request body is too large', 413);
+    }
+    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+        return new ErrorResponse('Not authorized to access this route', 401);
+    }
+
+    const statusCode = err.statusCode || err.status || 500;
+    // Never leak internal messages from unexpected errors
+    return new ErrorResponse(statusCode >= 500 ? 'Server Error' : err.message, statusCode);
+};
+
+/**
+ * Database Guard Middleware
+ * While MongoDB is unavailable (degraded start, or a dropped connection)
+ * database-backed routes answer 503 straight away instead of hanging.
+ * Status, health and metrics endpoints keep working.
+ */
+const DB_INDEPENDENT_PATHS = [
+    '/api/status',
+    '/api/v1/status', '/api/v1/health/live', '/api/v1/health/ready', '/api/v1/openapi.json', '/api/v1/docs'
+];
+
+const requireDatabase = (req, res, next) => {
+    const needsDatabase = /^\/(api|feed)\b|^\/sitemap\.xml$/.test(req.path) && !DB_INDEPENDENT_PATHS.includes(req.path);
+    if (dbStatus || !needsDatabase) return next();
+
+    res.set('Retry-After', '5');
+    next(new ErrorResponse('Service temporarily unavailable, please try again shortly', 503));
+};
+
+/**
+ * Error Handler Middleware
+ * Handles errors throughout the application
+ */
+const errorHandler = (err, req, res, next) => {
+    const error = normalizeError(err);
+    
+    // Log error for server-side debugging (full stack only for server errors, not planned 503s)
+    if (error.statusCode >= 500 && error.statusCode !== 503) {
+        logger.error('Unhandled request error', { status: error.statusCode, error: err });
+    }
+    
+    const body = {
+        success: false,
+        error: {
+            code: error.code,
+            message: error.message
+        }
+    };
+    
+    if (error.details && error.details.length) {
+        body.error.details = error.details;
+    }
+    
+    // Stack traces are opt-in, never implied by NODE_ENV
+    if (process.env.EXPOSE_ERROR_STACK === 'true') {
+        body.error.stack = err.stack;
+    }
+    
+    res.status(error.statusCode).json(body);
+};
+
+/**
+ * Validate Middleware
+ * Validates req.params, req.query and req.body against Joi schemas,
+ * replacing them with the converted values (unknown keys are stripped).
+ * Fails with a 400 VALIDATION_ERROR listing every invalid field.
+ */
+const validate = (schemas) => (req, res, next) => {
+    const details = [];
+
+    for (const part of ['params', 'query', 'body']) {
+        if (!schemas[part]) continue;
+
+        const { error, value } = schemas[part].validate(req[part] || {}, {
+            abortEarly: false,
+            stripUnknown: true,
+            errors: { wrap: { label: false } }
+        });
+
+        if (error) {
+            details.push(...error.details.map(detail => ({
+                field: [part, ...detail.path].join('.'),
+                message: detail.message,
+                type: detail.type
+            })));
+        } else {
+            req[part] = value;
+        }
+    }
+
+    if (details.length) {
+        return next(new ErrorResponse('Validation failed', 400, 'VALIDATION_ERROR', details));
+    }
+    next();
+};
+
+/**
+ * Protect Middleware
+ * Requires a valid Bearer token in the Authorization header
+ * and attaches the authenticated user to req.user
+ */
+const protect = async (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+
+    if (!authHeader.startsWith('Bearer ')) {
+        return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const user = await User.findById(decoded.id);
+
+        if (!user) {
+            return next(new ErrorResponse('Not authorized to access this route', 401));
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return next(new ErrorResponse('Not authorized to access this route', 401));
+        }
+        next(error);
+    }
+};
+
+/**
+ * Optional Auth Middleware
+ * Attaches req.user when a Bearer token is sent (rejecting invalid ones),
+ * and lets anonymous requests through without one
+ */
+const optionalAuth = (req, res, next) => {
+    if (!(req.headers.authorization || '').startsWith('Bearer ')) return next();
+    protect(req, res, next);
+};
+
+/**
+ * Authorize Middleware
+ * Restricts a route to the given roles (use after protect)
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return next(new ErrorResponse(`User role '${req.user ? req.user.role : 'guest'}' is not authorized to access this route`, 403));
+    }
+    next();
+};
+
+/**
+ * Rate Limiter Middleware Factory
+ * Fixed-window, in-memory limiter keyed by keyGenerator(req).
+ * Requests without a key are not limited.
+ */
+const createRateLimiter = ({ windowMs, max, keyGenerator, message }) => {
+    const hits = new Map();
+
+    // Drop expired windows so the map does not grow forever
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const key = keyGenerator(req);
+        if (!key) return next();
+
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+
+        if (entry.count > max) {
+            res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+            return next(new ErrorResponse(message || 'Too many requests, please try again later', 429, 'RATE_LIMITED'));
+        }
+        next();
+    };
+};
+
+const CONTACT_RATE_WINDOW_MS = parseInt(process.env.CONTACT_RATE_WINDOW_MS, 10) || 60 * 60 * 1000;
+
+const contactIpLimiter = createRateLimiter({
+    windowMs: CONTACT_RATE_WINDOW_MS,
+    max: parseInt(process.env.CONTACT_RATE_MAX_PER_IP, 10) || 5,
+    keyGenerator: (req) => req.ip,
+    message: 'Too many messages from this address, please try again later'
+});
+
+const contactEmailLimiter = createRateLimiter({
+    windowMs: CONTACT_RATE_WINDOW_MS,
+    max: parseInt(process.env.CONTACT_RATE_MAX_PER_EMAIL, 10) || 3,
+    keyGenerator: (req) => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+    message: 'Too many messages for this email address, please try again later'
+});
+
+const subscribeIpLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.SUBSCRIBE_RATE_MAX_PER_IP, 10) || 10,
+    keyGenerator: (req) => req.ip,
+    message: 'Too many subscription requests from this address, please try again later'
+});
+
+// Login attempts, so passwords cannot be guessed quickly from one address or against one account
+const LOGIN_RATE_WINDOW_MS = parseInt(process.env.LOGIN_RATE_WINDOW_MS, 10) || 15 * 60 * 1000;
+
+const loginIpLimiter = createRateLimiter({
+    windowMs: LOGIN_RATE_WINDOW_MS,
+    max: parseInt(process.env.LOGIN_RATE_MAX_PER_IP, 10) || 20,
+    keyGenerator: (req) => req.ip,
+    message: 'Too many login attempts from this address, please try again later'
+});
+
+const loginEmailLimiter = createRateLimiter({
+    windowMs: LOGIN_RATE_WINDOW_MS,
+    max: parseInt(process.env.LOGIN_RATE_MAX_PER_EMAIL, 10) || 5,
+    keyGenerator: (req) => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+    message: 'Too many login attempts for this account, please try again later'
+});
+
+// ==================== HELPERS ====================
+
+/**
+ * Read page/limit from the query string, clamped to sane values
+ */
+const parsePagination = (query, defaultLimit = 20, maxLimit = 100) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Build the pagination block of a list response, including
+ * absolute next/prev links that keep the other query parameters
+ */
+const buildPagination = (req, page, limit, total) => {
+    const pages = Math.ceil(total / limit);
+
+    const linkTo = (targetPage) => {
+        const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+        url.searchParams.set('page', targetPage);
+        url.searchParams.set('limit', limit);
+        return url.toString();
+    };
+
+    return {
+        page,
+        limit,
+        pages,
+        next: page < pages ? page + 1 : null,
+        prev: page > 1 ? page - 1 : null,
+        links: {
+            next: page < pages ? linkTo(page + 1) : null,
+            prev: page > 1 ? linkTo(page - 1) : null
+        }
+    };
+};
+
+/**
+ * Line based diff of two strings (Myers), returned as
+ * [{ type: 'unchanged' | 'added' | 'removed', value }]
+ * Returns null when either side has more than DIFF_MAX_LINES lines or the
+ * texts differ by more than DIFF_MAX_EDITS lines, which keeps time and
+ * memory bounded for very large bodies.
+ */
+const DIFF_MAX_LINES = 20000;
+const DIFF_MAX_EDITS = 2000;
+
+const diffLines = (before, after) => {
+    const a = String(before ?? '').split('\n');
+    const b = String(after ?? '').split('\n');
+
+    if (a.length > DIFF_MAX_LINES || b.length > DIFF_MAX_LINES) return null;
+
+    // Common prefix and suffix never need the search
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const x0 = a.slice(prefix, a.length - suffix);
+    const y0 = b.slice(prefix, b.length - suffix);
+    const n = x0.length;
+    const m = y0.length;
+
+    // v[offset + k] = furthest x reached on diagonal k; trace keeps the
+    // diagonals -d-1..d+1 of each round for the walk back
+    const limit = Math.min(n + m, DIFF_MAX_EDITS);
+    const offset = limit + 1;
+    const v = new Int32Array(2 * limit + 3);
+    const trace = [];
+    let done = n + m === 0;
+
+    for (let d = 0; d <= limit && !done; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && x0[x] === y0[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                done = true;
+                break;
+            }
+        }
+    }
+
+    if (!done) return null;
+
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const at = (k) => trace[d][k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            middle.push({ type: 'unchanged', value: x0[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) middle.push({ type: 'added', value: y0[--y] });
+            else middle.push({ type: 'removed', value: x0[--x] });
+        }
+    }
+
+    return [
+        ...a.slice(0, prefix).map(value => ({ type: 'unchanged', value })),
+        ...middle.reverse(),
+        ...a.slice(a.length - suffix).map(value => ({ type: 'unchanged', value }))
+    ];
+};
+
+/**
+ * Check an email address against RFC 5321 style syntax rules:
+ * local part up to 64 chars, dot-atom only, and a domain made of
+ * valid DNS labels with an alphabetic top-level domain
+ */
+const isValidEmailAddress = (email) => {
+    if (typeof email !== 'string' || email.length > 254) return false;
+
+    const at = email.lastIndexOf('@');
+    if (at < 1) return false;
+
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1).toLowerCase();
+
+    if (local.length > 64 || !/^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+)*$/.test(local)) {
+        return false;
+    }
+
+    const labels = domain.split('.');
+    if (labels.length < 2 || !/^[a-z]{2,63}$/.test(labels[labels.length - 1])) return false;
+
+    return labels.every(label => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label));
+};
+
+// Optionally confirm the domain can receive mail (CONTACT_VERIFY_MX=true)
+const hasMailExchanger = async (email) => {
+    if (process.env.CONTACT_VERIFY_MX !== 'true') return true;
+
+    const domain = email.split('@').pop();
+    try {
+        const records = await dns.promises.resolveMx(domain);
+        return records.length > 0;
+    } catch (error) {
+        // Only reject definite answers, not lookup timeouts
+        return !['ENOTFOUND', 'ENODATA'].includes(error.code);
+    }
+};
+
+/**
+ * Spam Scoring
+ * Scorers receive the submission and return { score, reason } or nothing.
+ * Scores are summed; submissions at or above CONTACT_SPAM_THRESHOLD
+ * are stored but held instead of emailed. Add scorers with registerSpamScorer.
+ */
+const CONTACT_SPAM_THRESHOLD = parseFloat(process.env.CONTACT_SPAM_THRESHOLD) || 5;
+const CONTACT_SPAM_KEYWORDS = (process.env.CONTACT_SPAM_KEYWORDS || 'viagra,casino,crypto investment,backlinks,seo services,forex,loan offer')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+
+const spamScorers = [];
+
+const registerSpamScorer = (scorer) => {
+    spamScorers.push(scorer);
+};
+
+// Built-in scorers
+registerSpamScorer(({ message }) => {
+    const links = (message.match(/https?:\/\/|www\./gi) || []).length;
+    if (links > 2) return { score: 3, reason: `contains ${links} links` };
+});
+
+registerSpamScorer(({ name }) => {
+    if (/https?:\/\/|www\.|<[^>]+>/i.test(name)) return { score: 4, reason: 'link or markup in name' };
+});
+
+registerSpamScorer(({ message }) => {
+    const text = message.toLowerCase();
+    const matches = CONTACT_SPAM_KEYWORDS.filter(word => text.includes(word));
+    if (matches.length) return { score: 2 * matches.length, reason: `keywords: ${matches.join(', ')}` };
+});
+
+registerSpamScorer(({ message }) => {
+    const letters = message.replace(/[^a-zA-Z]/g, '');
+    if (letters.length > 20 && letters === letters.toUpperCase()) return { score: 1, reason: 'all caps message' };
+});
+
+const scoreSubmission = async (submission) => {
+    let score = 0;
+    const reasons = [];
+
+    for (const scorer of spamScorers) {
+        try {
+            const result = await scorer(submission);
+            if (result && result.score) {
+                score += result.score;
+                if (result.reason) reasons.push(result.reason);
+            }
+        } catch (error) {
+            // A broken scorer must not block submissions
+            logger.error('Spam scorer failed', { scorer: scorer.name || 'anonymous', error });
+        }
+    }
+
+    return { score, reasons, held: score >= CONTACT_SPAM_THRESHOLD };
+};
+
+// Hash of the normalized message, used to spot repeated submissions
+const hashMessage = (message) => crypto
+    .createHash('sha256')
+    .update(message.trim().toLowerCase().replace(/\s+/g, ' '))
+    .digest('hex');
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Blog Controller
+ * Contains all the CRUD operations for blog posts
+ */
+
+// Category fields embedded in blog responses
+const BLOG_CATEGORY_FIELDS = 'name slug';
+
+// Fields that list queries may sort on or select
+const BLOG_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'category', 'status', 'viewCount'];
+const BLOG_SELECT_FIELDS = [
+    'title', 'description', 'contentFormat', 'descriptionHtml', 'excerpt', 'wordCount', 'readingTime', 'toc',
+    'category', 'tags', 'imageUrl', 'status', 'slug', 'viewCount', 'createdAt', 'updatedAt'
+];
+
+// Named sorts accepted alongside field names
+const BLOG_SORT_ALIASES = {
+    popular: { viewCount: -1, createdAt: -1 }
+};
+
+// @desc    Get all blogs
+// @route   GET /api/v1/blogs?q=&status=&category=&tags=a,b&tagMatch=any|all&sort=-createdAt,title|popular&fields=title,imageUrl&page=1&limit=10
+// @access  Public (anonymous readers only see published posts)
+const getBlogs = async (req, res, next) => {
+    try {
+        // Add query parameters for filtering
+        const filter = {};
+        
+        // Filter by status - scheduled posts count as published once publishAt has passed.
+        // Anonymous readers never see drafts, whatever status they ask for.
+        const statusFilters = [];
+        if (!req.user) statusFilters.push(getEffectiveStatusFilter('published'));
+        if (req.query.status) statusFilters.push(getEffectiveStatusFilter(req.query.status));
+        if (statusFilters.length) filter.$and = statusFilters;
+        
+        // Filter by category id, slug or name if provided (unknown categories match nothing)
+        if (req.query.category) {
+            const category = await resolveCategory(req.query.category);
+            filter.category = category ? category._id : { $in: [] };
+        }
+        
+        // Filter by tags: any of the given tags by default, all of them with tagMatch=all
+        if (req.query.tags) {
+            const tags = normalizeTags(req.query.tags);
+            if (tags.length) {
+                filter.tags = req.query.tagMatch === 'all' ? { $all: tags } : { $in: tags };
+            }
+        }
+        
+        // Full-text search over title and description
+        if (req.query.q) {
+            filter.$text = { $search: String(req.query.q) };
+        }
+        
+        // Sort: comma separated fields, "-" prefix for descending, or a named sort such as "popular"
+        const sort = {};
+        if (req.query.sort) {
+            for (const token of String(req.query.sort).split(',').map(t => t.trim()).filter(Boolean)) {
+                if (BLOG_SORT_ALIASES[token]) {
+                    Object.assign(sort, BLOG_SORT_ALIASES[token]);
+                    continue;
+                }
+                const field = token.replace(/^[-+]/, '');
+                if (!BLOG_SORT_FIELDS.includes(field)) {
+                    return next(new ErrorResponse(`Cannot sort by "${field}". Allowed fields: ${BLOG_SORT_FIELDS.join(', ')} or ${Object.keys(BLOG_SORT_ALIASES).join(', ')}`, 400, 'INVALID_QUERY'));
+                }
+                sort[field] = token.startsWith('-') ? -1 : 1;
+            }
+        } else if (req.query.q) {
+            // Best matches first when searching
+            sort.score = { $meta: 'textScore' };
+        } else {
+            sort.createdAt = -1;
+        }
+        
+        // Projection: comma separated list of fields to return
+        const projection = {};
+        if (req.query.fields) {
+            for (const field of String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean)) {
+                if (!BLOG_SELECT_FIELDS.includes(field)) {
+                    return next(new ErrorResponse(`Unknown field "${field}". Allowed fields: ${BLOG_SELECT_FIELDS.join(', ')}`, 400, 'INVALID_QUERY'));
+                }
+                projection[field] = 1;
+            }
+        }
+        if (req.query.q) {
+            projection.score = { $meta: 'textScore' };
+        }
+        
+        const { page, limit, skip } = parsePagination(req.query, 10);
+        
+        const [total, blogs] = await Promise.all([
+            Blog.countDocuments(filter),
+            Blog.find(filter, projection).sort(sort).skip(skip).limit(limit).populate('category', BLOG_CATEGORY_FIELDS)
+        ]);
+        
+        res.status(200).json({
+            success: true,
+            count: blogs.length,
+            total,
+            pagination: buildPagination(req, page, limit, total),
+            data: blogs
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Blog View Tracking
+ * getBlog counts one view per visitor (hashed IP + user agent) and
+ * BLOG_VIEW_DEDUPE_WINDOW_MS for anonymous reads of live posts. Crawlers, link previews and
+ * clients without a user agent are ignored. Counted views go to the daily
+ * aggregates and Blog.viewCount, which backs sort=popular.
+ */
+const BOT_USER_AGENT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|lighthouse|headless|phantomjs|curl|wget|python-requests|axios|node-fetch|go-http-client|java\/|monitor|uptime|pingdom/i;
+
+const isBotRequest = (req) => {
+    const userAgent = req.get('user-agent');
+    return !userAgent || BOT_USER_AGENT_PATTERN.test(userAgent) || req.get('purpose') === 'prefetch';
+};
+
+// Keyed hash so stored visitor ids cannot be reversed into IP addresses (own key, not the login one)
+const getVisitorHash = (req) => crypto
+    .createHmac('sha256', process.env.VIEW_HASH_SECRET)
+    .update(`blog-view:${req.ip}:${req.get('user-agent')}`)
+    .digest('hex');
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Never throws - a failed count must not fail the page view
+const recordBlogView = async (req, blog) => {
+    try {
+        // Only anonymous reads of live posts count - signed-in users are staff previewing
+        if (req.user || !isBlogLive(blog)) return;
+        if (isBotRequest(req)) {
+            metrics.blogViews.inc({ result: 'bot' });
+            return;
+        }
+
+        try {
+            await BlogView.create({ blog: blog._id, visitor: getVisitorHash(req) });
+        } catch (error) {
+            if (error.code === 11000) {
+                metrics.blogViews.inc({ result: 'duplicate' });
+                return;
+            }
+            throw error;
+        }
+
+        const now = new Date();
+        await Promise.all([
+            BlogViewDaily.updateOne(
+                { blog: blog._id, day: startOfUtcDay(now) },
+                { $inc: { views: 1 }, $set: { category: blog.category?._id || blog.category } },
+                { upsert: true }
+            ),
+            Blog.updateOne({ _id: blog._id }, { $inc: { viewCount: 1 } }, { timestamps: false })
+        ]);
+        metrics.blogViews.inc({ result: 'counted' });
+    } catch (error) {
+        metrics.blogViews.inc({ result: 'error' });
+        logger.error('Failed to record blog view', { blogId: blog._id, error });
+    }
+};
+
+// Signed-in users can read drafts, anonymous readers only live posts
+const getReaderFilter = (req) => (req.user ? {} : getEffectiveStatusFilter('published'));
+
+// @desc    Get single blog
+// @route   GET /api/v1/blogs/:id
+// @access  Public (drafts need a signed-in user)
+const getBlog = async (req, res, next) => {
+    try {
+        const blog = await Blog.findOne({ _id: req.params.id, ...getReaderFilter(req) }).populate('category', BLOG_CATEGORY_FIELDS);
+        
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found', 404));
+        }
+        
+        // Counted in the background so tracking never slows the response
+        recordBlogView(req, blog);
+        
+        res.status(200).json({
+            success: true,
+            data: blog
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single blog by slug (old slugs redirect to the current one)
+// @route   GET /api/v1/blogs/slug/:slug
+// @access  Public (drafts need a signed-in user)
+const getBlogBySlug = async (req, res, next) => {
+    try {
+        const slug = String(req.params.slug).toLowerCase();
+        const blog = await Blog.findOne({ slug, ...getReaderFilter(req) }).populate('category', BLOG_CATEGORY_FIELDS);
+        
+        if (blog) {
+            recordBlogView(req, blog);
+            return res.status(200).json({
+                success: true,
+                data: blog
+            });
+        }
+        
+        // Permanently redirect slugs that were renamed
+        const renamed = await Blog.findOne({ slugHistory: slug, ...getReaderFilter(req) }).select('slug');
+        
+        if (renamed) {
+            // Same path with the current slug, keeping the caller's prefix
+            return res.redirect(301, req.originalUrl.split('?')[0].replace(/[^/]+$/, encodeURIComponent(renamed.slug)));
+        }
+        
+        next(new ErrorResponse('Blog not found', 404));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get related published blogs ranked by shared tags, category and recency
+// @route   GET /api/v1/blogs/:id/related?limit=5
+// @access  Public (related posts of a draft need a signed-in user)
+const getRelatedBlogs = async (req, res, next) => {
+    try {
+        const blog = await Blog.findOne({ _id: req.params.id, ...getReaderFilter(req) }).select('tags category');
+        
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found', 404));
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 20);
+        const now = new Date();
+        
+        // score = 3 per shared tag + 2 for the same category + up to 1 for recency (halves after 30 days)
+        const related = await Blog.aggregate([
+            { $match: { $and: [getEffectiveStatusFilter('published', now), { _id: { $ne: blog._id } }] } },
+            {
+                $addFields: {
+                    sharedTags: { $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, { $literal: [...blog.tags] }] } },
+                    sameCategory: { $cond: [{ $eq: ['$category', blog.category] }, 1, 0] },
+                    ageDays: { $divide: [{ $subtract: [now, '$createdAt'] }, 1000 * 60 * 60 * 24] }
+                }
+            },
+            {
+                $addFields: {
+                    score: {
+                        $add: [
+                            { $multiply: ['$sharedTags', 3] },
+                            { $multiply: ['$sameCategory', 2] },
+                            { $divide: [1, { $add: [1, { $divide: [{ $max: ['$ageDays', 0] }, 30] }] }] }
+                        ]
+                    }
+                }
+            },
+            { $sort: { score: -1, createdAt: -1 } },
+            { $limit: limit },
+            { $project: { description: 0, slugHistory: 0, ageDays: 0 } }
+        ]);
+        
+        await Blog.populate(related, { path: 'category', select: BLOG_CATEGORY_FIELDS });
+        
+        res.status(200).json({
+            success: true,
+            count: related.length,
+            data: related
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create new blog
+// @route   POST /api/v1/blogs
+// @access  Private (admin, editor - only admins can publish)
+const createBlog = async (req, res, next) => {
+    try {
+        // Body is validated by the createBlog schema
+        const { category, status } = req.body;
+        
+        // Editors may only create drafts, and scheduling counts as publishing
+        if ((status === 'published' || req.body.publishAt || req.body.unpublishAt) && req.user.role !== 'admin') {
+            return next(new ErrorResponse('Only admins can publish or schedule blogs', 403));
+        }
+        
+        // Blogs reference a category, given by id, slug or name
+        const categoryDoc = await resolveCategory(category);
+        
+        if (!categoryDoc) {
+            return next(new ErrorResponse(`Category "${category}" not found`, 400, 'UNKNOWN_CATEGORY'));
+        }
+        
+        // Slug history is maintained by the model only
+        const { slugHistory, ...fields } = req.body;
+        const blog = await Blog.create({ ...fields, category: categoryDoc._id });
+        await blog.populate('category', BLOG_CATEGORY_FIELDS);
+        
+        await emitWebhookEvent('blog.created', getBlogWebhookData(blog));
+        if (blog.status === 'published') {
+            await emitWebhookEvent('blog.published', getBlogWebhookData(blog));
+        }
+        
+        res.status(201).json({
+            success: true,
+            data: blog
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Pick the revisioned fields of a blog as plain data
+const getBlogSnapshot = (blog) => {
+    const data = blog.toObject({ virtuals: false });
+    return BLOG_REVISION_FIELDS.reduce((snapshot, field) => {
+        if (data[field] !== undefined) snapshot[field] = data[field];
+        return snapshot;
+    }, {});
+};
+
+/**
+ * Store a revision under the next free version. The unique { blog, version }
+ * index rejects a version a concurrent writer took first, so retry then.
+ */
+const REVISION_CREATE_ATTEMPTS = 5;
+
+const createBlogRevision = async (data) => {
+    for (let attempt = 1; ; attempt++) {
+        const latest = await BlogRevision.findOne({ blog: data.blog }).sort({ version: -1 }).select('version');
+
+        try {
+            return await BlogRevision.create({ ...data, version: latest ? latest.version + 1 : 1 });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= REVISION_CREATE_ATTEMPTS) throw error;
+        }
+    }
+};
+
+/**
+ * Apply updates to a blog and save it, storing the previous
+ * version as a revision when any revisioned field changed
+ */
+const saveBlogWithRevision = async (blog, updates, user, action = 'update') => {
+    const snapshot = getBlogSnapshot(blog);
+
+    blog.set(updates);
+    await blog.validate();
+
+    const changedFields = BLOG_REVISION_FIELDS.filter(field => blog.isModified(field));
+
+    await blog.save({ validateBeforeSave: false });
+
+    if (changedFields.length) {
+        await createBlogRevision({
+            blog: blog._id,
+            snapshot,
+            changedFields,
+            changedBy: user ? user._id : null,
+            action
+        });
+    }
+
+    return blog;
+};
+
+// @desc    Update blog
+// @route   PUT /api/v1/blogs/:id
+// @access  Private (admin, editor - editors can only update drafts and cannot schedule)
+const updateBlog = async (req, res, next) => {
+    try {
+        const blog = await Blog.findById(req.params.id);
+        
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found', 404));
+        }
+        
+        // Editors can only work on drafts and cannot publish them (a due scheduled draft is already public)
+        if (req.user.role !== 'admin' && (
+            isBlogLive(blog) ||
+            req.body.status === 'published' ||
+            req.body.publishAt !== undefined ||
+            req.body.unpublishAt !== undefined
+        )) {
+            return next(new ErrorResponse('Only admins can publish, schedule or edit published blogs', 403));
+        }
+        
+        // Update the blog - save() runs validators and regenerates the slug if needed
+        const { slugHistory, ...updates } = req.body;
+        
+        if (updates.category !== undefined) {
+            const categoryDoc = await resolveCategory(updates.category);
+            
+            if (!categoryDoc) {
+                return next(new ErrorResponse(`Category "${updates.category}" not found`, 400, 'UNKNOWN_CATEGORY'));
+            }
+            updates.category = categoryDoc._id;
+        }
+        
+        const wasPublished = blog.status === 'published';
+        await saveBlogWithRevision(blog, updates, req.user);
+        await blog.populate('category', BLOG_CATEGORY_FIELDS);
+        
+        if (!wasPublished && blog.status === 'published') {
+            await emitWebhookEvent('blog.published', getBlogWebhookData(blog));
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: blog
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List revisions of a blog
+// @route   GET /api/v1/blogs/:id/revisions
+// @access  Private (admin, editor)
+const getBlogRevisions = async (req, res, next) => {
+    try {
+        const blog = await Blog.findById(req.params.id).select('_id');
+
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found', 404));
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [total, revisions] = await Promise.all([
+            BlogRevision.countDocuments({ blog: blog._id }),
+            BlogRevision.find({ blog: blog._id })
+                .sort({ version: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-snapshot.description')
+                .populate('changedBy', 'name email role')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: revisions.length,
+            total,
+            pagination: buildPagination(req, page, limit, total),
+            data: revisions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Load a revision snapshot, or the live blog for "current"
+const findRevisionContent = async (blogId, revisionId) => {
+    if (revisionId === 'current') {
+        const blog = await Blog.findById(blogId);
+        return blog ? { id: 'current', version: null, content: getBlogSnapshot(blog) } : null;
+    }
+
+    const revision = await BlogRevision.findOne({ _id: revisionId, blog: blogId });
+    return revision ? { id: revision._id, version: revision.version, content: revision.snapshot } : null;
+};
+
+// @desc    Get a single revision
+// @route   GET /api/v1/blogs/:id/revisions/:revisionId
+// @access  Private (admin, editor)
+const getBlogRevision = async (req, res, next) => {
+    try {
+        const revision = await BlogRevision.findOne({ _id: req.params.revisionId, blog: req.params.id })
+            .populate('changedBy', 'name email role');
+
+        if (!revision) {
+            return next(new ErrorResponse('Revision not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Diff two revisions (either side may be "current")
+// @route   GET /api/v1/blogs/:id/revisions/diff?from=<revisionId>&to=<revisionId|current>
+// @access  Private (admin, editor)
+const diffBlogRevisions = async (req, res, next) => {
+    try {
+        const { from, to = 'current' } = req.query;
+
+        const [left, right] = await Promise.all([
+            findRevisionContent(req.params.id, from),
+            findRevisionContent(req.params.id, to)
+        ]);
+
+        if (!left || !right) {
+            return next(new ErrorResponse('Revision not found', 404));
+        }
+
+        const changes = {};
+        for (const field of BLOG_REVISION_FIELDS) {
+            const before = left.content[field];
+            const after = right.content[field];
+
+            if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+            // lines is null when the bodies are too large or too different to diff
+            changes[field] = field === 'description'
+                ? { before, after, lines: diffLines(before, after) }
+                : { before, after };
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: { id: left.id, version: left.version },
+                to: { id: right.id, version: right.version },
+                changedFields: Object.keys(changes),
+                changes
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Restore a blog to an earlier revision
+// @route   POST /api/v1/blogs/:id/revisions/:revisionId/restore
+// @access  Private (admin, editor - editors can only restore drafts)
+const restoreBlogRevision = async (req, res, next) => {
+    try {
+        const blog = await Blog.findById(req.params.id);
+
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found', 404));
+        }
+
+        const revision = await BlogRevision.findOne({ _id: req.params.revisionId, blog: blog._id });
+
+        if (!revision) {
+            return next(new ErrorResponse('Revision not found', 404));
+        }
+
+        // Same rules as a regular update
+        if (req.user.role !== 'admin' && (isBlogLive(blog) || revision.snapshot.status === 'published')) {
+            return next(new ErrorResponse('Only admins can publish or edit published blogs', 403));
+        }
+
+        // Revisions from before the category migration hold the category name
+        const snapshot = { ...revision.snapshot };
+        const categoryDoc = await resolveCategory(snapshot.category);
+        if (categoryDoc) {
+            snapshot.category = categoryDoc._id;
+        } else {
+            delete snapshot.category;
+        }
+
+        // The current content becomes a new revision, so a restore can be undone too
+        const wasPublished = blog.status === 'published';
+        await saveBlogWithRevision(blog, snapshot, req.user, 'restore');
+        await blog.populate('category', BLOG_CATEGORY_FIELDS);
+
+        if (!wasPublished && blog.status === 'published') {
+            await emitWebhookEvent('blog.published', getBlogWebhookData(blog));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: blog
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete blog (moves it to the trash)
+// @route   DELETE /api/v1/blogs/:id
+// @access  Private (admin)
+const deleteBlog = async (req, res, next) => {
+    try {
+        const blog = await Blog.findById(req.params.id).populate('category', BLOG_CATEGORY_FIELDS);
+        
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found', 404));
+        }
+        
+        // Atomic update, so trashing never reruns validation or the render and slug hooks
+        await Blog.updateOne(
+            { _id: blog._id },
+            { $set: { deletedAt: new Date(), deletedBy: req.user._id } },
+            { withDeleted: true }
+        );
+        await emitWebhookEvent('blog.deleted', getBlogWebhookData(blog));
+        
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Blog Trash Controller
+ * Deleted blogs stay in the trash for TRASH_RETENTION_DAYS so they can be
+ * restored; purging removes the blog and its revision history for good.
+ */
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined ? Math.max(parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 0, 0) : 30;
+const TRASH_FILTER = { deletedAt: { $ne: null } };
+
+// When the retention job will purge a trashed blog (null when retention is disabled)
+const getTrashPurgeAt = (deletedAt) => (TRASH_RETENTION_DAYS
+    ? new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    : null);
+
+// Delete blogs with their revision history and view statistics
+const purgeBlogs = async (blogIds) => {
+    await Promise.all([
+        BlogRevision.deleteMany({ blog: { $in: blogIds } }),
+        BlogView.deleteMany({ blog: { $in: blogIds } }),
+        BlogViewDaily.deleteMany({ blog: { $in: blogIds } })
+    ]);
+    const result = await Blog.deleteMany({ _id: { $in: blogIds } });
+    return result.deletedCount;
+};
+
+// @desc    List trashed blogs
+// @route   GET /api/v1/blogs/trash
+// @access  Private (admin)
+const getBlogTrash = async (req, res, next) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [total, blogs] = await Promise.all([
+            Blog.countDocuments(TRASH_FILTER),
+            Blog.find(TRASH_FILTER)
+                .sort({ deletedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-description -descriptionHtml')
+                .populate('category', BLOG_CATEGORY_FIELDS)
+                .populate('deletedBy', 'name email role')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: blogs.length,
+            total,
+            pagination: buildPagination(req, page, limit, total),
+            data: blogs.map(blog => ({ ...blog.toJSON(), purgeAt: getTrashPurgeAt(blog.deletedAt) }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Restore a blog from the trash
+// @route   POST /api/v1/blogs/trash/:id/restore
+// @access  Private (admin)
+const restoreBlog = async (req, res, next) => {
+    try {
+        const blog = await Blog.findOneAndUpdate(
+            { _id: req.params.id, ...TRASH_FILTER },
+            { $set: { deletedAt: null, deletedBy: null } },
+            { new: true, withDeleted: true }
+        ).populate('category', BLOG_CATEGORY_FIELDS);
+
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found in trash', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: blog
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Permanently delete a trashed blog
+// @route   DELETE /api/v1/blogs/trash/:id
+// @access  Private (admin)
+const purgeBlog = async (req, res, next) => {
+    try {
+        const blog = await Blog.findOne({ _id: req.params.id, ...TRASH_FILTER }).select('_id');
+
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found in trash', 404));
+        }
+
+        await purgeBlogs([blog._id]);
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Blog Transfer Controller
+ * Bulk export and import of blogs as JSON (an array), NDJSON (one blog per
+ * line) or CSV (one blog per row, header row first). Categories travel as
+ * slugs so files can move between environments; derived fields
+ * (descriptionHtml, excerpt, ...) are rebuilt on import.
+ */
+const BLOG_TRANSFER_FORMATS = {
+    json: 'application/json',
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv'
+};
+
+// Columns of the CSV format, nested fields use dots
+const BLOG_CSV_COLUMNS = [
+    '_id', 'title', 'slug', 'description', 'contentFormat', 'category', 'tags', 'imageUrl', 'status',
+    'publishAt', 'unpublishAt', 'publishedAt',
+    'seo.metaTitle', 'seo.metaDescription', 'seo.canonicalUrl', 'seo.ogImage',
+    'createdAt', 'updatedAt'
+];
+
+// Fields taken from an import row - everything else (timestamps, derived fields) is ignored
+const BLOG_IMPORT_FIELDS = [
+    '_id', 'title', 'slug', 'description', 'contentFormat', 'category', 'tags', 'imageUrl', 'status',
+    'publishAt', 'unpublishAt', 'publishedAt', 'seo'
+];
+
+// Export shape of a blog (with its category populated)
+const toBlogExportRecord = (blog) => {
+    const data = blog.toObject({ virtuals: false });
+
+    return {
+        _id: data._id,
+        title: data.title,
+        slug: data.slug,
+        description: data.description,
+        contentFormat: data.contentFormat,
+        category: data.category ? data.category.slug : null,
+        tags: data.tags,
+        imageUrl: data.imageUrl,
+        status: isBlogLive(data) ? 'published' : 'draft',
+        publishAt: data.publishAt,
+        unpublishAt: data.unpublishAt,
+        publishedAt: data.publishedAt,
+        seo: data.seo || {},
+        createdAt: data.createdAt,
+        updatedAt: data.updatedAt
+    };
+};
+
+const toCsvCell = (value) => {
+    if (value == null) return '';
+    const text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(',') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (record) => `${BLOG_CSV_COLUMNS
+    .map(column => toCsvCell(column.split('.').reduce((value, part) => (value == null ? undefined : value[part]), record)))
+    .join(',')}\r\n`;
+
+// RFC 4180 parser: quoted cells may hold commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines are not rows
+    return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+};
+
+/**
+ * Turn the request body into [{ row, record }] or [{ row, errors }] entries.
+ * Problems with the whole file throw a 400, problems with one row stay on that row.
+ */
+const parseBlogImport = (body, format) => {
+    const invalidFile = (message) => new ErrorResponse(message, 400, 'INVALID_IMPORT');
+    const notAnObject = (row) => ({ row, errors: [{ field: 'row', message: 'row must be an object', type: 'object.base' }] });
+
+    if (format === 'json') {
+        let records = body;
+        if (typeof body === 'string') {
+            try {
+                records = JSON.parse(body);
+            } catch (error) {
+                throw invalidFile(`Invalid JSON: ${error.message}`);
+            }
+        }
+        if (!Array.isArray(records)) throw invalidFile('A JSON import must be an array of blogs');
+
+        return records.map((record, index) => (
+            record && typeof record === 'object' && !Array.isArray(record) ? { row: index + 1, record } : notAnObject(index + 1)
+        ));
+    }
+
+    if (typeof body !== 'string') throw invalidFile(`Send the ${format} file as the request body with Content-Type ${BLOG_TRANSFER_FORMATS[format]}`);
+
+    if (format === 'ndjson') {
+        return body.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+            try {
+                const record = JSON.parse(line);
+                return record && typeof record === 'object' && !Array.isArray(record) ? { row: index + 1, record } : notAnObject(index + 1);
+            } catch (error) {
+                return { row: index + 1, errors: [{ field: 'row', message: `Invalid JSON: ${error.message}`, type: 'json.parse' }] };
+            }
+        });
+    }
+
+    const [header, ...rows] = parseCsv(body.replace(/^\uFEFF/, ''));
+    if (!header) throw invalidFile('The CSV file is empty');
+
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('title') && !columns.includes('_id')) {
+        throw invalidFile('The CSV header must include a title or _id column');
+    }
+
+    return rows.map((cells, index) => {
+        if (cells.length !== columns.length) {
+            return { row: index + 1, errors: [{ field: 'row', message: `expected ${columns.length} cells but found ${cells.length}`, type: 'csv.columns' }] };
+        }
+
+        // Empty cells mean "not given"; dotted columns become nested objects
+        const record = {};
+        columns.forEach((column, position) => {
+            if (cells[position] === '') return;
+            const parts = column.split('.');
+            const parent = parts.slice(0, -1).reduce((target, part) => (target[part] = target[part] || {}), record);
+            parent[parts[parts.length - 1]] = cells[position];
+        });
+        return { row: index + 1, record };
+    });
+};
+
+const getImportValidationErrors = (error) => Object.values(error.errors).map(detail => ({
+    field: detail.path,
+    message: detail.kind === 'ObjectId' || detail.name === 'CastError' ? `${detail.path} is not valid` : detail.message,
+    type: detail.kind
+}));
+
+/**
+ * Validate one import row against the Blog model and (unless dryRun) save it.
+ * A dry run saves nothing, so `pending` (a Map by id or title) holds the blogs that earlier
+ * rows of the same file would have created or changed, and later rows upsert onto those.
+ * Returns the row result: { row, action, id, title, errors? }
+ */
+const importBlogRow = async ({ row, record, errors }, { onConflict, dryRun, user, pending }) => {
+    if (errors) return { row, action: 'error', errors };
+
+    const fields = BLOG_IMPORT_FIELDS.reduce((picked, field) => {
+        if (record[field] !== undefined) picked[field] = record[field];
+        return picked;
+    }, {});
+    const { _id: id, ...updates } = fields;
+    const result = { row, title: updates.title };
+
+    if (id !== undefined && !/^[a-f0-9]{24}$/i.test(String(id))) {
+        return { ...result, action: 'error', errors: [{ field: '_id', message: '_id must be a valid id', type: 'objectId' }] };
+    }
+
+    if (updates.category !== undefined) {
+        const categoryDoc = await resolveCategory(updates.category);
+        if (!categoryDoc) {
+            return { ...result, action: 'error', errors: [{ field: 'category', message: `Category "${updates.category}" not found`, type: 'category.unknown' }] };
+        }
+        updates.category = categoryDoc._id;
+    }
+
+    // Upsert target: same id, or same title
+    const conflictKey = onConflict === 'id'
+        ? id && String(id).toLowerCase()
+        : updates.title && String(updates.title).trim();
+    let existing = null;
+    if (dryRun && pending && pending.has(conflictKey)) {
+        // A copy, so a row that fails validation leaves the pending blog as it was
+        existing = new Blog(pending.get(conflictKey).toObject());
+    } else if (onConflict === 'id' && id) {
+        existing = await Blog.findById(id);
+    } else if (onConflict === 'title' && updates.title) {
+        existing = await Blog.findOne({ title: String(updates.title).trim() });
+    }
+
+    // Ids are kept when creating, so a staging export lands with the same ids in production
+    const blog = existing || new Blog(onConflict === 'id' && id ? { _id: id } : {});
+    const wasPublished = Boolean(existing) && existing.status === 'published';
+    result.action = existing ? 'update' : 'create';
+    result.id = blog._id;
+
+    try {
+        if (dryRun) {
+            blog.set(updates);
+            await blog.validate();
+        } else if (existing) {
+            await saveBlogWithRevision(blog, updates, user, 'import');
+        } else {
+            blog.set(updates);
+            await blog.save();
+        }
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return { ...result, action: 'error', errors: getImportValidationErrors(error) };
+        }
+        if (error.code === 11000) {
+            return { ...result, action: 'error', errors: [{ field: '_id', message: 'a blog with this id already exists', type: 'duplicate' }] };
+        }
+        throw error;
+    }
+
+    result.title = blog.title;
+
+    if (dryRun && pending && conflictKey) {
+        pending.set(conflictKey, blog);
+    }
+
+    if (!dryRun) {
+        await blog.populate('category', BLOG_CATEGORY_FIELDS);
+        if (!existing) await emitWebhookEvent('blog.created', getBlogWebhookData(blog));
+        if (!wasPublished && blog.status === 'published') await emitWebhookEvent('blog.published', getBlogWebhookData(blog));
+    }
+
+    return result;
+};
+
+// Raw body parser for the text import formats (JSON bodies are parsed by express.json)
+const blogImportBodyParser = express.text({
+    type: ['text/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'],
+    limit: BODY_LIMIT
+});
+
+// @desc    Stream blogs as JSON, NDJSON or CSV
+// @route   GET /api/v1/blogs/export?format=json|ndjson|csv&status=&category=
+// @access  Private (admin, editor)
+const exportBlogs = async (req, res, next) => {
+    try {
+        const { format = 'json', status, category } = req.query;
+        const filter = {};
+
+        // Filter by effective status if provided, the same way the blog list does
+        if (status) {
+            filter.$and = [getEffectiveStatusFilter(status)];
+        }
+
+        // Filter by category id, slug or name if provided
+        if (category) {
+            const categoryDoc = await resolveCategory(category);
+            if (!categoryDoc) {
+                return next(new ErrorResponse(`Category "${category}" not found`, 400, 'UNKNOWN_CATEGORY'));
+            }
+            filter.category = categoryDoc._id;
+        }
+
+        const cursor = Blog.find(filter)
+            .sort({ createdAt: 1 })
+            .populate('category', BLOG_CATEGORY_FIELDS)
+            .cursor();
+
+        res.status(200).set({
+            'Content-Type': `${BLOG_TRANSFER_FORMATS[format]}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="blogs-${new Date().toISOString().slice(0, 10)}.${format}"`
+        });
+
+        // Respect backpressure, and stop reading when the client goes away
+        const write = async (chunk) => {
+            if (res.destroyed || res.write(chunk)) return;
+            await new Promise((resolve) => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        };
+
+        let count = 0;
+        if (format === 'csv') await write(`${BLOG_CSV_COLUMNS.join(',')}\r\n`);
+        if (format === 'json') await write('[\n');
+
+        for await (const blog of cursor) {
+            if (res.destroyed) break;
+
+            const record = toBlogExportRecord(blog);
+            if (format === 'csv') {
+                await write(toCsvRow(record));
+            } else if (format === 'ndjson') {
+                await write(`${JSON.stringify(record)}\n`);
+            } else {
+                await write(`${count ? ',\n' : ''}${JSON.stringify(record)}`);
+            }
+            count++;
+        }
+        await cursor.close();
+
+        if (format === 'json') await write('\n]\n');
+        res.end();
+    } catch (error) {
+        // Once streaming started the status is sent - cut the response so the client sees it is incomplete
+        if (res.headersSent) {
+            logger.error('Blog export failed', { error });
+            return res.destroy(error);
+        }
+        next(error);
+    }
+};
+
+// @desc    Import blogs from JSON, NDJSON or CSV, with dry run and upsert by id or title
+// @route   POST /api/v1/blogs/import?format=json|ndjson|csv&dryRun=true&onConflict=id|title
+// @access  Private (admin)
+const importBlogs = async (req, res, next) => {
+    try {
+        const { dryRun = false, onConflict = 'id' } = req.query;
+
+        // Format from the query, or from the Content-Type of the upload
+        const format = req.query.format
+            || Object.keys(BLOG_TRANSFER_FORMATS).find(name => req.is(BLOG_TRANSFER_FORMATS[name]))
+            || (req.is('application/ndjson') ? 'ndjson' : null);
+
+        if (!format) {
+            return next(new ErrorResponse('Give the file format with ?format=json|ndjson|csv or a matching Content-Type', 400, 'INVALID_IMPORT'));
+        }
+
+        const rows = parseBlogImport(req.body, format);
+        const results = [];
+        const pending = new Map();
+
+        // One row at a time, so upserts see blogs created earlier in the same file (also in a dry run)
+        for (const entry of rows) {
+            results.push(await importBlogRow(entry, { onConflict, dryRun, user: req.user, pending }));
+        }
+
+        const summary = { total: results.length, created: 0, updated: 0, failed: 0 };
+        for (const result of results) {
+            if (result.action === 'create') summary.created++;
+            else if (result.action === 'update') summary.updated++;
+            else summary.failed++;
+        }
+
+        if (!dryRun) {
+            logger.info('Blogs imported', { format, onConflict, ...summary });
+        }
+
+        res.status(200).json({
+            success: true,
+            dryRun,
+            summary,
+            data: results
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Analytics Controller
+ * Blog views over a range of UTC days, read from the daily aggregates that
+ * recordBlogView maintains. Ranges default to the last 30 days; series list
+ * every day in the range, including days without views.
+ */
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolve from/to query dates into whole UTC days, throwing 400 for invalid ranges
+const parseAnalyticsRange = (query) => {
+    const to = startOfUtcDay(query.to ? new Date(query.to) : new Date());
+    const from = startOfUtcDay(query.from ? new Date(query.from) : new Date(to.getTime() - (ANALYTICS_DEFAULT_DAYS - 1) * DAY_MS));
+    const days = Math.round((to - from) / DAY_MS) + 1;
+
+    if (days < 1) {
+        throw new ErrorResponse('from must not be after to', 400, 'INVALID_QUERY');
+    }
+    if (days > ANALYTICS_MAX_DAYS) {
+        throw new ErrorResponse(`Date range cannot exceed ${ANALYTICS_MAX_DAYS} days`, 400, 'INVALID_QUERY');
+    }
+
+    return { from, to, days };
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// [{ day, views }] rows into one { date, views } entry per day of the range
+const toDailySeries = (range, rows) => {
+    const views = new Map();
+    for (const row of rows) {
+        const date = formatDay(row.day);
+        views.set(date, (views.get(date) || 0) + row.views);
+    }
+
+    return Array.from({ length: range.days }, (_, i) => {
+        const date = formatDay(new Date(range.from.getTime() + i * DAY_MS));
+        return { date, views: views.get(date) || 0 };
+    });
+};
+
+const sumViews = (series) => series.reduce((total, entry) => total + entry.views, 0);
+
+// @desc    Most viewed blogs and total views per day
+// @route   GET /api/v1/analytics/blogs?from=&to=&category=&limit=10
+// @access  Private (admin, editor)
+const getBlogAnalytics = async (req, res, next) => {
+    try {
+        const range = parseAnalyticsRange(req.query);
+        const match = { day: { $gte: range.from, $lte: range.to } };
+
+        if (req.query.category) {
+            const category = await resolveCategory(req.query.category);
+            match.category = category ? category._id : { $in: [] };
+        }
+
+        const limit = parseInt(req.query.limit, 10) || 10;
+
+        // Trashed blogs drop out of the ranking (purging also removes their view rows),
+        // so only the top `limit` rows need their blog looked up
+        const trashedIds = await Blog.distinct('_id', TRASH_FILTER);
+
+        const [dailyRows, topPosts] = await Promise.all([
+            BlogViewDaily.aggregate([
+                { $match: match },
+                { $group: { _id: '$day', views: { $sum: '$views' } } },
+                { $project: { _id: 0, day: '$_id', views: 1 } }
+            ]),
+            BlogViewDaily.aggregate([
+                { $match: { ...match, blog: { $nin: trashedIds } } },
+                { $group: { _id: '$blog', views: { $sum: '$views' } } },
+                { $sort: { views: -1, _id: 1 } },
+                { $limit: limit },
+                {
+                    $lookup: {
+                        from: Blog.collection.collectionName,
+                        let: { blogId: '$_id' },
+                        pipeline: [
+                            { $match: { $expr: { $eq: ['$_id', '$$blogId'] }, deletedAt: null } },
+                            { $project: { title: 1, slug: 1, status: 1, category: 1, viewCount: 1 } }
+                        ],
+                        as: 'blog'
+                    }
+                },
+                { $unwind: '$blog' },
+                { $project: { _id: 0, blog: 1, views: 1 } }
+            ])
+        ]);
+
+        await Blog.populate(topPosts.map(post => post.blog), { path: 'category', select: BLOG_CATEGORY_FIELDS });
+        const daily = toDailySeries(range, dailyRows);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: formatDay(range.from),
+                to: formatDay(range.to),
+                totalViews: sumViews(daily),
+                daily,
+                topPosts
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Views per day of one blog
+// @route   GET /api/v1/analytics/blogs/:id?from=&to=
+// @access  Private (admin, editor)
+const getBlogViewAnalytics = async (req, res, next) => {
+    try {
+        const range = parseAnalyticsRange(req.query);
+        const blog = await Blog.findById(req.params.id)
+            .select('title slug status category viewCount')
+            .populate('category', BLOG_CATEGORY_FIELDS);
+
+        if (!blog) {
+            return next(new ErrorResponse('Blog not found', 404));
+        }
+
+        const rows = await BlogViewDaily.find({ blog: blog._id, day: { $gte: range.from, $lte: range.to } })
+            .select('day views')
+            .lean();
+        const daily = toDailySeries(range, rows);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                blog,
+                from: formatDay(range.from),
+                to: formatDay(range.to),
+                totalViews: sumViews(daily),
+                daily
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Views per day of each category
+// @route   GET /api/v1/analytics/categories?from=&to=
+// @access  Private (admin, editor)
+const getCategoryAnalytics = async (req, res, next) => {
+    try {
+        const range = parseAnalyticsRange(req.query);
+
+        const rows = await BlogViewDaily.aggregate([
+            { $match: { day: { $gte: range.from, $lte: range.to } } },
+            { $group: { _id: { category: '$category', day: '$day' }, views: { $sum: '$views' } } },
+            { $group: { _id: '$_id.category', days: { $push: { day: '$_id.day', views: '$views' } } } }
+        ]);
+
+        const categories = await Category.find({ _id: { $in: rows.map(row => row._id).filter(Boolean) } })
+            .select(BLOG_CATEGORY_FIELDS);
+        const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+
+        // Views recorded under a category that has since been deleted are reported with category null
+        const byCategory = new Map();
+        for (const row of rows) {
+            const category = (row._id && categoriesById.get(row._id.toString())) || null;
+            const key = category ? category._id.toString() : null;
+            if (!byCategory.has(key)) byCategory.set(key, { category, days: [] });
+            byCategory.get(key).days.push(...row.days);
+        }
+
+        const data = [...byCategory.values()]
+            .map(({ category, days }) => {
+                const daily = toDailySeries(range, days);
+                return { category, views: sumViews(daily), daily };
+            })
+            .sort((a, b) => b.views - a.views);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: formatDay(range.from),
+                to: formatDay(range.to),
+                totalViews: data.reduce((total, entry) => total + entry.views, 0),
+                categories: data
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Auth Controller
+ * Handles admin user login and account management
+ */
+
+// Build a token response for an authenticated user
+const sendTokenResponse = (user, statusCode, res) => {
+    const token = user.getSignedJwtToken();
+
+    res.status(statusCode).json({
+        success: true,
+        token,
+        data: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role
+        }
+    });
+};
+
+// @desc    Login user and issue token
+// @route   POST /api/v1/auth/login
+// @access  Public
+const login = async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+
+        // Password is excluded by default so select it explicitly
+        const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+        if (!user || !(await user.matchPassword(password))) {
+            return next(new ErrorResponse('Invalid credentials', 401, 'INVALID_CREDENTIALS'));
+        }
+
+        sendTokenResponse(user, 200, res);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get current logged in user
+// @route   GET /api/v1/auth/me
+// @access  Private
+const getMe = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.user
+    });
+};
+
+// @desc    Create admin or editor user
+// @route   POST /api/v1/users
+// @access  Private (admin)
+const createUser = async (req, res, next) => {
+    try {
+        const { name, email, password, role } = req.body;
+
+        const user = await User.create({ name, email, password, role });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Create the first admin from env when the users collection is empty
+const seedAdminUser = async () => {
+    const { ADMIN_SEED_EMAIL, ADMIN_SEED_PASSWORD } = process.env;
+
+    if (!ADMIN_SEED_EMAIL || !ADMIN_SEED_PASSWORD) {
+        return;
+    }
+
+    try {
+        const userCount = await User.countDocuments();
+
+        if (userCount === 0) {
+            await User.create({
+                name: 'Administrator',
+                email: ADMIN_SEED_EMAIL,
+                password: ADMIN_SEED_PASSWORD,
+                role: 'admin'
+            });
+            logger.info('Seeded admin user', { email: ADMIN_SEED_EMAIL });
+        }
+    } catch (error) {
+        logger.error('Failed to seed admin user', { error });
+    }
+};
+
+// Move free-text blog categories into the Category collection.
+// Names are matched by slug, so "Trade" and "trade " become one category.
+const migrateBlogCategories = async () => {
+    try {
+        // Read through the driver because the schema now expects an ObjectId
+        const legacyBlogs = await Blog.collection
+            .find({ category: { $type: 'string' } }, { projection: { category: 1 } })
+            .toArray();
+
+        for (const legacy of legacyBlogs) {
+            const name = legacy.category.trim().replace(/\s+/g, ' ') || 'Uncategorized';
+            let category = await Category.findOne({ slug: slugify(name) });
+
+            if (!category) {
+                try {
+                    category = await Category.create({ name });
+                } catch (error) {
+                    // Another instance created it first
+                    if (error.code !== 11000) throw error;
+                    category = await Category.findOne({ slug: slugify(name) });
+                }
+            }
+
+            await Blog.collection.updateOne(
+                { _id: legacy._id, category: legacy.category },
+                { $set: { category: category._id } }
+            );
+        }
+
+        if (legacyBlogs.length) {
+            logger.info('Migrated blog categories', { count: legacyBlogs.length });
+        }
+    } catch (error) {
+        logger.error('Failed to migrate blog categories', { error });
+    }
+};
+
+// Give blogs created before slugs and rendered content existed their derived fields
+const backfillBlogFields = async () => {
+    try {
+        const blogs = await Blog.find({
+            $or: [{ slug: { $in: [null, ''] } }, { descriptionHtml: null }]
+        });
+
+        for (const blog of blogs) {
+            if (!blog.slug) blog.markModified('title');
+            blog.markModified('description');
+            await blog.save({ timestamps: false });
+        }
+
+        if (blogs.length) {
+            logger.info('Backfilled blog slugs and rendered content', { count: blogs.length });
+        }
+
+        // Blogs published before publishedAt existed fall back to their creation time
+        const { modifiedCount } = await Blog.updateMany(
+            { status: 'published', publishedAt: null },
+            [{ $set: { publishedAt: '$createdAt' } }],
+            { timestamps: false }
+        );
+        if (modifiedCount) {
+            logger.info('Backfilled blog publication dates', { count: modifiedCount });
+        }
+    } catch (error) {
+        logger.error('Failed to backfill blog fields', { error });
+    }
+};
+
+/**
+ * Category Controller
+ * CRUD operations for blog categories
+ */
+
+// @desc    Get all categories with published post counts
+// @route   GET /api/v1/categories
+// @access  Public
+const getCategories = async (req, res, next) => {
+    try {
+        const [categories, counts] = await Promise.all([
+            Category.find().sort({ order: 1, name: 1 }),
+            Blog.aggregate([
+                { $match: getEffectiveStatusFilter('published') },
+                { $group: { _id: '$category', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countByCategory = new Map(counts.map(item => [String(item._id), item.count]));
+
+        res.status(200).json({
+            success: true,
+            count: categories.length,
+            data: categories.map(category => ({
+                ...category.toObject(),
+                postCount: countByCategory.get(String(category._id)) || 0
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single category by id or slug
+// @route   GET /api/v1/categories/:id
+// @access  Public
+const getCategory = async (req, res, next) => {
+    try {
+        const category = await resolveCategory(req.params.id);
+
+        if (!category) {
+            return next(new ErrorResponse('Category not found', 404));
+        }
+
+        const postCount = await Blog.countDocuments({
+            $and: [getEffectiveStatusFilter('published')],
+            category: category._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { ...category.toObject(), postCount }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create category
+// @route   POST /api/v1/categories
+// @access  Private (admin)
+const createCategory = async (req, res, next) => {
+    try {
+        const { name, description, order } = req.body;
+        const category = await Category.create({ name, description, order });
+
+        res.status(201).json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update category
+// @route   PUT /api/v1/categories/:id
+// @access  Private (admin)
+const updateCategory = async (req, res, next) => {
+    try {
+        const category = await Category.findById(req.params.id);
+
+        if (!category) {
+            return next(new ErrorResponse('Category not found', 404));
+        }
+
+        const { name, description, order } = req.body;
+        if (name !== undefined) category.name = name;
+        if (description !== undefined) category.description = description;
+        if (order !== undefined) category.order = order;
+        await category.save();
+
+        res.status(200).json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete category, optionally moving its blogs to another one
+// @route   DELETE /api/v1/categories/:id?reassignTo=<categoryId>
+// @access  Private (admin)
+const deleteCategory = async (req, res, next) => {
+    try {
+        const category = await Category.findById(req.params.id);
+
+        if (!category) {
+            return next(new ErrorResponse('Category not found', 404));
+        }
+
+        // Trashed blogs count too - they still need a category if they are restored
+        const blogCount = await Blog.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+
+        if (blogCount > 0) {
+            const target = req.query.reassignTo ? await resolveCategory(req.query.reassignTo) : null;
+
+            if (!target || target._id.equals(category._id)) {
+                return next(new ErrorResponse(`Category is used by ${blogCount} blog(s). Pass ?reassignTo=<categoryId> to move them first`, 400, 'CATEGORY_IN_USE'));
+            }
+
+            await Blog.updateMany({ category: category._id }, { category: target._id }).setOptions({ withDeleted: true });
+            await BlogViewDaily.updateMany({ category: category._id }, { category: target._id });
+        }
+
+        await category.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Tag Controller
+ * Tags are stored on blogs, so usage counts are aggregated on demand
+ */
+
+// @desc    Get tags used by published blogs with usage counts
+// @route   GET /api/v1/tags?q=&limit=
+// @access  Public
+const getTags = async (req, res, next) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+        const pipeline = [
+            { $match: getEffectiveStatusFilter('published') },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } }
+        ];
+
+        // Optional prefix search for tag pickers
+        if (req.query.q) {
+            const prefix = normalizeTags([req.query.q])[0] || '';
+            pipeline.push({ $match: { _id: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } } });
+        }
+
+        pipeline.push(
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, tag: '$_id', count: 1 } }
+        );
+
+        const tags = await Blog.aggregate(pipeline);
+
+        res.status(200).json({
+            success: true,
+            count: tags.length,
+            data: tags
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Contact Controller
+ * Handles contact form submissions and email sending
+ */
+
+const CONTACT_HONEYPOT_FIELD = process.env.CONTACT_HONEYPOT_FIELD || 'website';
+const CONTACT_DUPLICATE_WINDOW_MS = parseInt(process.env.CONTACT_DUPLICATE_WINDOW_MS, 10) || 10 * 60 * 1000;
+
+// Render the confirmation and admin emails for an inquiry and put them in the outbox
+const queueContactEmails = async (inquiry) => {
+    const { name, email, phone, message } = inquiry;
+
+    try {
+        // Render both emails from templates - every submitted value is escaped
+        const templateData = { name, email, phone, message, submittedAt: inquiry.createdAt.toLocaleString() };
+        const userEmail = await renderEmailTemplate('contact-user', inquiry.locale, {
+            ...templateData,
+            subscribeUrl: getSubscribeUrl(email),
+            unsubscribeUrl: getUnsubscribeUrl(email)
+        });
+        const adminEmail = await renderEmailTemplate('contact-admin', EMAIL_DEFAULT_LOCALE, {
+            ...templateData,
+            locale: inquiry.locale
+        });
+
+        // Send confirmation email to user
+        const userMailOptions = {
+            from: {
+                name: 'ImpexInfo Support',
+                address: mailConfig.from
+            },
+            to: email,
+            replyTo: mailConfig.from, // Add reply-to header
+            subject: userEmail.subject,
+            html: userEmail.html,
+            text: userEmail.text, // Plain text alternative
+            headers: {
+                'X-Priority': '1', // Set high priority
+                'Importance': 'high',
+                ...getListUnsubscribeHeaders(email),
+                'Precedence': 'bulk'
+            }
+        };
+
+        // Send notification email to admin
+        const adminMailOptions = {
+            from: {
+                name: 'Contact Form',
+                address: mailConfig.from
+            },
+            to: process.env.ADMIN_EMAIL, // Admin email from .env
+            subject: adminEmail.subject,
+            html: adminEmail.html,
+            text: adminEmail.text // Plain text alternative
+        };
+
+        // Mark pending first so the worker's status updates are never overwritten
+        if (inquiry.emailStatus !== 'pending') {
+            inquiry.emailStatus = 'pending';
+            await inquiry.save();
+        }
+
+        await OutboxEmail.insertMany([
+            { mailOptions: userMailOptions, inquiry: inquiry._id },
+            { mailOptions: adminMailOptions, inquiry: inquiry._id }
+        ]);
+        return true;
+    } catch (queueError) {
+        // The inquiry itself is stored, so callers can still report success
+        logger.error('Error preparing contact emails', { inquiryId: inquiry._id, error: queueError });
+        inquiry.emailStatus = 'failed';
+        await inquiry.save().catch(() => {});
+        return false;
+    }
+};
+
+// @desc    Submit contact form and queue emails
+// @route   POST /api/v1/contact
+// @access  Public (rate limited per IP and per email)
+const submitContactForm = async (req, res, next) => {
+    try {
+        // Extract form data
+        const { name, email, phone, message } = req.body;
+
+        // Bots fill in the hidden honeypot field - pretend it worked and drop the submission
+        if (req.body[CONTACT_HONEYPOT_FIELD]) {
+            logger.warn('Contact honeypot triggered', { ip: req.ip });
+            metrics.contactSubmissions.inc({ outcome: 'honeypot' });
+            return res.status(200).json({
+                success: true,
+                message: 'Your message has been sent successfully!'
+            });
+        }
+
+        // Required fields and email syntax are checked by the contact schema
+        const normalizedEmail = email.toLowerCase();
+
+        // Check MX records when enabled
+        if (!(await hasMailExchanger(normalizedEmail))) {
+            metrics.contactSubmissions.inc({ outcome: 'rejected' });
+            return next(new ErrorResponse('Please provide a valid email address', 400, 'VALIDATION_ERROR', [
+                { field: 'body.email', message: 'email domain cannot receive mail', type: 'email.mx' }
+            ]));
+        }
+
+        // The same message from the same address within the window is treated as a resubmit
+        const messageHash = hashMessage(message);
+        const duplicate = await Inquiry.exists({
+            email: normalizedEmail,
+            messageHash,
+            createdAt: { $gte: new Date(Date.now() - CONTACT_DUPLICATE_WINDOW_MS) }
+        });
+
+        if (duplicate) {
+            metrics.contactSubmissions.inc({ outcome: 'duplicate' });
+            return res.status(200).json({
+                success: true,
+                message: 'Your message has been sent successfully!'
+            });
+        }
+
+        const spam = await scoreSubmission({ name, email: normalizedEmail, phone, message, ip: req.ip });
+
+        // Store the submission before anything else so the lead is never lost
+        // Locale comes from the form, or the browser's Accept-Language header
+        const locale = (await resolveTemplateLocale('contact-user', req.body.locale || req.acceptsLanguages()[0])
+            .catch(() => null)) || EMAIL_DEFAULT_LOCALE;
+        const inquiry = await Inquiry.create({
+            name,
+            email: normalizedEmail,
+            phone,
+            message,
+            locale,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            messageHash,
+            spamScore: spam.score,
+            spamReasons: spam.reasons,
+            emailStatus: spam.held ? 'held' : 'pending'
+        });
+
+        metrics.contactSubmissions.inc({ outcome: spam.held ? 'held' : 'accepted' });
+
+        // High scoring submissions are held for review instead of emailed
+        if (spam.held) {
+            logger.warn('Inquiry held for review', { inquiryId: inquiry._id, spamScore: spam.score, spamReasons: spam.reasons });
+        } else {
+            // Render and queue both emails - the outbox worker delivers them outside the request
+            await queueContactEmails(inquiry);
+            await emitWebhookEvent('contact.submitted', getInquiryWebhookData(inquiry));
+        }
+
+        // Return success response
+        res.status(200).json({
+            success: true,
+            message: 'Your message has been sent successfully!'
+        });
+
+    } catch (error) {
+        logger.error('Contact submission error', { error });
+        metrics.contactSubmissions.inc({ outcome: 'error' });
+        next(error);
+    }
+};
+
+/**
+ * Inquiry Controller
+ * Admin inbox for stored contact submissions
+ */
+
+// @desc    List inquiries with filters and pagination
+// @route   GET /api/v1/inquiries
+// @access  Private (admin, editor)
+const getInquiries = async (req, res, next) => {
+    try {
+        const filter = {};
+
+        // Filter by status if provided
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        // Filter by assignee if provided ("none" for unassigned)
+        if (req.query.assignee) {
+            filter.assignee = req.query.assignee === 'none' ? null : req.query.assignee;
+        }
+
+        // Filter by email step outcome if provided
+        if (req.query.emailStatus) {
+            filter.emailStatus = req.query.emailStatus;
+        }
+
+        // Filter by submission date range if provided
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+        }
+
+        // Simple case-insensitive search on name, email and message
+        if (req.query.q) {
+            const pattern = new RegExp(String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }, { message: pattern }];
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [total, inquiries] = await Promise.all([
+            Inquiry.countDocuments(filter),
+            Inquiry.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('assignee', 'name email role')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: inquiries.length,
+            total,
+            pagination: buildPagination(req, page, limit, total),
+            data: inquiries
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single inquiry
+// @route   GET /api/v1/inquiries/:id
+// @access  Private (admin, editor)
+const getInquiry = async (req, res, next) => {
+    try {
+        const inquiry = await Inquiry.findById(req.params.id)
+            .populate('assignee', 'name email role')
+            .populate('notes.author', 'name email');
+
+        if (!inquiry) {
+            return next(new ErrorResponse('Inquiry not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: inquiry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update inquiry status, assignee or add a note
+// @route   PUT /api/v1/inquiries/:id
+// @access  Private (admin, editor)
+const updateInquiry = async (req, res, next) => {
+    try {
+        const inquiry = await Inquiry.findById(req.params.id);
+
+        if (!inquiry) {
+            return next(new ErrorResponse('Inquiry not found', 404));
+        }
+
+        const { status, assignee, note } = req.body;
+
+        // Enforce the status workflow
+        if (status !== undefined && status !== inquiry.status) {
+            const allowed = INQUIRY_TRANSITIONS[inquiry.status] || [];
+            if (!allowed.includes(status)) {
+                return next(new ErrorResponse(`Cannot move inquiry from "${inquiry.status}" to "${status}"`, 400, 'INVALID_TRANSITION'));
+            }
+            inquiry.status = status;
+        }
+
+        // Assign to a user, or pass null to unassign
+        if (assignee !== undefined) {
+            if (assignee) {
+                const user = await User.findById(assignee);
+                if (!user) {
+                    return next(new ErrorResponse('Assignee not found', 400, 'UNKNOWN_ASSIGNEE'));
+                }
+            }
+            inquiry.assignee = assignee || null;
+        }
+
+        // Append an internal note
+        if (note) {
+            inquiry.notes.push({ body: note, author: req.user._id });
+        }
+
+        await inquiry.save();
+        await inquiry.populate([
+            { path: 'assignee', select: 'name email role' },
+            { path: 'notes.author', select: 'name email' }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: inquiry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Release a held inquiry and queue its emails
+// @route   POST /api/v1/inquiries/:id/release
+// @access  Private (admin, editor)
+const releaseInquiry = async (req, res, next) => {
+    try {
+        const inquiry = await Inquiry.findById(req.params.id);
+
+        if (!inquiry) {
+            return next(new ErrorResponse('Inquiry not found', 404));
+        }
+
+        if (inquiry.emailStatus !== 'held') {
+            return next(new ErrorResponse('Only held inquiries can be released', 409, 'INVALID_STATE'));
+        }
+
+        const queued = await queueContactEmails(inquiry);
+
+        if (!queued) {
+            return next(new ErrorResponse('Could not queue the inquiry emails', 500));
+        }
+
+        // Held inquiries only reach the webhooks once a person has released them
+        await emitWebhookEvent('contact.submitted', getInquiryWebhookData(inquiry));
+
+        res.status(200).json({
+            success: true,
+            data: inquiry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Outbox Controller
+ * Lets admins inspect queued and dead-lettered emails
+ */
+
+// @desc    List outbox emails
+// @route   GET /api/v1/outbox
+// @access  Private (admin)
+const getOutboxEmails = async (req, res, next) => {
+    try {
+        const filter = {};
+
+        // Filter by status if provided (e.g. ?status=dead)
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [total, emails] = await Promise.all([
+            OutboxEmail.countDocuments(filter),
+            OutboxEmail.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-mailOptions.html')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: emails.length,
+            total,
+            pagination: buildPagination(req, page, limit, total),
+            data: emails
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Re-queue a dead-lettered email
+// @route   POST /api/v1/outbox/:id/requeue
+// @access  Private (admin)
+const requeueOutboxEmail = async (req, res, next) => {
+    try {
+        const email = await OutboxEmail.findById(req.params.id);
+
+        if (!email) {
+            return next(new ErrorResponse('Outbox email not found', 404));
+        }
+
+        if (email.status !== 'dead') {
+            return next(new ErrorResponse('Only dead-lettered emails can be re-queued', 409, 'INVALID_STATE'));
+        }
+
+        email.status = 'queued';
+        email.attempts = 0;
+        email.nextAttemptAt = new Date();
+        email.lastError = null;
+        await email.save();
+        await syncInquiryEmailStatus(email.inquiry);
+
+        res.status(200).json({
+            success: true,
+            data: email
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Feed Controller
+ * RSS, Atom and sitemap documents built from published blogs
+ */
+const FEED_TITLE = process.env.FEED_TITLE || 'ImpexInfo Blog';
+const FEED_DESCRIPTION = process.env.FEED_DESCRIPTION || 'Global trade insights and import-export news from ImpexInfo';
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT, 10) || 50;
+
+// Public site URL, falling back to the URL this request came in on
+const getSiteUrl = (req) => (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const getBlogUrl = (req, blog) => `${getSiteUrl(req)}/blog/${blog.slug || blog._id}`;
+
+// When a blog went live, not when its draft was started; scheduled posts the
+// scheduler has not picked up yet count from their publishAt
+const getBlogPublishedDate = (blog) => blog.publishedAt || blog.publishAt || blog.createdAt;
+
+/**
+ * Answer 304 when the client already has the current version.
+ * Validators are derived from the newest updatedAt and the item count,
+ * so deletes and unpublishes invalidate the feed as well.
+ */
+const isFeedFresh = async (req, res, filter, variant) => {
+    const [count, newest] = await Promise.all([
+        Blog.countDocuments(filter),
+        Blog.findOne(filter).sort({ updatedAt: -1 }).select('updatedAt')
+    ]);
+    const lastModified = newest ? newest.updatedAt : new Date(0);
+
+    res.set({
+        'ETag': `W/"${variant}-${count}-${lastModified.getTime()}"`,
+        'Last-Modified': lastModified.toUTCString(),
+        'Cache-Control': 'public, max-age=300'
+    });
+
+    if (req.fresh) {
+        res.status(304).end();
+        return { fresh: true };
+    }
+
+    return { fresh: false, lastModified };
+};
+
+// Published blogs, optionally limited to a category
+const getFeedFilter = (category) => {
+    const filter = { $and: [getEffectiveStatusFilter('published')] };
+    if (category) filter.category = category._id;
+    return filter;
+};
+
+// @desc    RSS 2.0 feed of published blogs
+// @route   GET /feed.rss, GET /feed/:category.rss
+// @access  Public
+const getRssFeed = async (req, res, next) => {
+    try {
+        // Per-category feeds are addressed by category slug
+        const category = req.params.category ? await Category.findOne({ slug: slugify(req.params.category) }) : null;
+
+        if (req.params.category && !category) {
+            return next(new ErrorResponse('Category not found', 404));
+        }
+
+        const filter = getFeedFilter(category);
+        const { fresh, lastModified } = await isFeedFresh(req, res, filter, `rss-${category ? category.slug : 'all'}`);
+        if (fresh) return;
+
+        const blogs = await Blog.find(filter).sort({ publishedAt: -1, createdAt: -1 }).limit(FEED_ITEM_LIMIT).populate('category', BLOG_CATEGORY_FIELDS);
+        const siteUrl = getSiteUrl(req);
+        const selfUrl = `${siteUrl}${req.originalUrl.split('?')[0]}`;
+        const title = category ? `${FEED_TITLE} - ${category.name}` : FEED_TITLE;
+
+        const items = blogs.map(blog => `
+    <item>
+      <title>${escapeHtml(blog.title)}</title>
+      <link>${escapeHtml(getBlogUrl(req, blog))}</link>
+      <guid isPermaLink="false">${blog._id}</guid>
+      <description>${escapeHtml(blog.meta.description)}</description>
+      ${blog.category ? `<category>${escapeHtml(blog.category.name)}</category>` : ''}
+      <pubDate>${getBlogPublishedDate(blog).toUTCString()}</pubDate>
+    </item>`).join('');
+
+        res.type('application/rss+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(siteUrl)}</link>
+    <description>${escapeHtml(FEED_DESCRIPTION)}</description>
+    <atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${lastModified.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Atom 1.0 feed of published blogs
+// @route   GET /feed.atom, GET /feed/:category.atom
+// @access  Public
+const getAtomFeed = async (req, res, next) => {
+    try {
+        // Per-category feeds are addressed by category slug
+        const category = req.params.category ? await Category.findOne({ slug: slugify(req.params.category) }) : null;
+
+        if (req.params.category && !category) {
+            return next(new ErrorResponse('Category not found', 404));
+        }
+
+        const filter = getFeedFilter(category);
+        const { fresh, lastModified } = await isFeedFresh(req, res, filter, `atom-${category ? category.slug : 'all'}`);
+        if (fresh) return;
+
+        const blogs = await Blog.find(filter).sort({ publishedAt: -1, createdAt: -1 }).limit(FEED_ITEM_LIMIT).populate('category', BLOG_CATEGORY_FIELDS);
+        const siteUrl = getSiteUrl(req);
+        const selfUrl = `${siteUrl}${req.originalUrl.split('?')[0]}`;
+        const title = category ? `${FEED_TITLE} - ${category.name}` : FEED_TITLE;
+
+        const entries = blogs.map(blog => `
+  <entry>
+    <title>${escapeHtml(blog.title)}</title>
+    <link href="${escapeHtml(getBlogUrl(req, blog))}"/>
+    <id>urn:impexinfo:blog:${blog._id}</id>
+    <published>${getBlogPublishedDate(blog).toISOString()}</published>
+    <updated>${blog.updatedAt.toISOString()}</updated>
+    <summary>${escapeHtml(blog.meta.description)}</summary>
+    ${blog.category ? `<category term="${escapeHtml(blog.category.slug)}" label="${escapeHtml(blog.category.name)}"/>` : ''}
+  </entry>`).join('');
+
+        res.type('application/atom+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(title)}</title>
+  <subtitle>${escapeHtml(FEED_DESCRIPTION)}</subtitle>
+  <link href="${escapeHtml(selfUrl)}" rel="self"/>
+  <link href="${escapeHtml(siteUrl)}"/>
+  <id>${escapeHtml(selfUrl)}</id>
+  <updated>${lastModified.toISOString()}</updated>${entries}
+</feed>`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Sitemap of published blogs
+// @route   GET /sitemap.xml
+// @access  Public
+const getSitemap = async (req, res, next) => {
+    try {
+        const filter = getFeedFilter();
+        const { fresh, lastModified } = await isFeedFresh(req, res, filter, 'sitemap');
+        if (fresh) return;
+
+        // The sitemap protocol allows at most 50,000 URLs per file
+        const blogs = await Blog.find(filter).sort({ updatedAt: -1 }).limit(50000).select('slug updatedAt');
+        const siteUrl = getSiteUrl(req);
+
+        const urls = blogs.map(blog => `
+  <url>
+    <loc>${escapeHtml(getBlogUrl(req, blog))}</loc>
+    <lastmod>${blog.updatedAt.toISOString()}</lastmod>
+  </url>`).join('');
+
+        res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>${escapeHtml(siteUrl)}/blog</loc>
+    <lastmod>${lastModified.toISOString()}</lastmod>
+  </url>${urls}
+</urlset>`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Newsletter Controller
+ * Double opt-in subscriptions, one-click unsubscribe (RFC 8058) and the
+ * admin digest of newly published blogs. Confirmation and unsubscribe
+ * links carry a signed token, so no per-subscriber secret is stored.
+ */
+const NEWSLETTER_CONFIRM_EXPIRE = process.env.NEWSLETTER_CONFIRM_EXPIRE || '7d';
+const NEWSLETTER_RESEND_INTERVAL_MS = 10 * 60 * 1000;
+const NEWSLETTER_DIGEST_MAX_POSTS = 20;
+const NEWSLETTER_BATCH_SIZE = 500;
+// A digest claim older than this belongs to a send that crashed, and the next send takes it over
+const NEWSLETTER_DIGEST_LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Public base URL of this API, for links in emails where there is no request to take it from
+const getApiBaseUrl = () => (process.env.API_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Own secret, so a newsletter token can never pass as a login token or the other way round
+const getNewsletterSecret = () => process.env.NEWSLETTER_SECRET;
+
+// Confirmation links expire, unsubscribe links in old emails keep working
+const signNewsletterToken = (email, purpose) => jwt.sign(
+    { sub: email, purpose },
+    getNewsletterSecret(),
+    purpose === 'confirm' ? { expiresIn: NEWSLETTER_CONFIRM_EXPIRE } : {}
+);
+
+// Returns the email address the token was issued for, or null
+const verifyNewsletterToken = (token, purpose) => {
+    try {
+        const payload = jwt.verify(token, getNewsletterSecret(), { algorithms: ['HS256'] });
+        return payload.purpose === purpose && typeof payload.sub === 'string' ? payload.sub : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const getSubscribeUrl = (email) => `${getApiBaseUrl()}${API_V1_PREFIX}/subscribe${email ? `?email=${encodeURIComponent(email)}` : ''}`;
+
+const getUnsubscribeUrl = (email) => `${getApiBaseUrl()}${API_V1_PREFIX}/unsubscribe?token=${signNewsletterToken(email, 'unsubscribe')}`;
+
+// Mail clients show an unsubscribe button for these and POST to the URL without opening it
+const getListUnsubscribeHeaders = (email) => ({
+    'List-Unsubscribe': `<${getUnsubscribeUrl(email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+// Minimal standalone page for the browser side of the newsletter flow (form is trusted HTML)
+const renderNewsletterPage = (res, { status = 200, title, message, form = '' }) => {
+    const nonce = setHtmlPageSecurity(res);
+
+    res.status(status).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} - ImpexInfo</title>
+    <style nonce="${nonce}">
+        body { font-family: 'Segoe UI', Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 40px 20px; }
+        .card { max-width: 480px; margin: 0 auto; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 10px rgba(0,0,0,0.1); overflow: hidden; }
+        .card-header { background: linear-gradient(to right, #0052D4, #4364F7, #6FB1FC); color: #fff; padding: 20px 25px; }
+        .card-header h1 { margin: 0; font-size: 22px; }
+        .card-body { padding: 25px; color: #333; line-height: 1.5; }
+        input { display: block; width: 100%; box-sizing: border-box; padding: 10px; margin: 5px 0 15px; border: 1px solid #ccc; border-radius: 4px; font-size: 15px; }
+        .hidden { display: none; }
+        button { background: linear-gradient(to right, #0052D4, #4364F7); color: #fff; border: 0; padding: 12px 25px; border-radius: 4px; font-weight: 600; font-size: 16px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <div class="card-header"><h1>${escapeHtml(title)}</h1></div>
+        <div class="card-body">
+            <p>${escapeHtml(message)}</p>
+            ${form}
+        </div>
+    </div>
+</body>
+</html>`);
+};
+
+// Browsers get a page, API clients the usual JSON envelope
+const sendNewsletterResult = (req, res, next, { status = 200, title, message, code }) => {
+    if (req.accepts(['json', 'html']) === 'html') {
+        return renderNewsletterPage(res, { status, title, message });
+    }
+    if (status >= 400) {
+        return next(new ErrorResponse(message, status, code));
+    }
+    res.status(status).json({ success: true, message });
+};
+
+const INVALID_NEWSLETTER_LINK = {
+    status: 400,
+    code: 'INVALID_TOKEN',
+    title: 'Link not valid',
+    message: 'This link is invalid or has expired. Please subscribe again to receive a new one.'
+};
+
+// Render the confirmation email for a subscriber and put it in the outbox
+const queueSubscriptionConfirmation = async (subscriber) => {
+    const confirmUrl = `${getApiBaseUrl()}${API_V1_PREFIX}/subscribe/confirm?token=${signNewsletterToken(subscriber.email, 'confirm')}`;
+    const confirmEmail = await renderEmailTemplate('newsletter-confirm', subscriber.locale, {
+        name: subscriber.name,
+        email: subscriber.email,
+        confirmUrl
+    });
+
+    await OutboxEmail.create({
+        mailOptions: {
+            from: {
+                name: 'ImpexInfo Newsletter',
+                address: mailConfig.from
+            },
+            to: subscriber.email,
+            subject: confirmEmail.subject,
+            html: confirmEmail.html,
+            text: confirmEmail.text
+        }
+    });
+};
+
+// @desc    Newsletter signup form
+// @route   GET /api/v1/subscribe
+// @access  Public
+const getSubscribePage = (req, res) => {
+    renderNewsletterPage(res, {
+        title: 'Subscribe to our newsletter',
+        message: 'Get our latest articles and global trade insights in your inbox. We will send you an email to confirm your address.',
+        form: `<form method="post" action="${escapeHtml(req.originalUrl.split('?')[0])}">
+                <label for="email">Email</label>
+                <input id="email" name="email" type="email" maxlength="254" required value="${escapeHtml(req.query.email || '')}">
+                <label for="name">Name (optional)</label>
+                <input id="name" name="name" type="text" maxlength="100">
+                <input class="hidden" name="${escapeHtml(CONTACT_HONEYPOT_FIELD)}" tabindex="-1" autocomplete="off" aria-hidden="true">
+                <button type="submit">Subscribe</button>
+            </form>`
+    });
+};
+
+// @desc    Subscribe to the newsletter (sends a confirmation email)
+// @route   POST /api/v1/subscribe
+// @access  Public (rate limited per IP)
+const subscribe = async (req, res, next) => {
+    // Same answer whatever the address's state, so the endpoint cannot be used to probe the list
+    const result = {
+        title: 'Check your inbox',
+        message: 'Thanks! Please check your inbox and click the link we sent to confirm your subscription.'
+    };
+
+    try {
+        const { email, name, locale } = req.body;
+
+        // Bots fill in the hidden honeypot field - pretend it worked
+        if (req.body[CONTACT_HONEYPOT_FIELD]) {
+            logger.warn('Subscribe honeypot triggered', { ip: req.ip });
+            return sendNewsletterResult(req, res, next, result);
+        }
+
+        const normalizedEmail = email.toLowerCase();
+
+        if (!(await hasMailExchanger(normalizedEmail))) {
+            return next(new ErrorResponse('Please provide a valid email address', 400, 'VALIDATION_ERROR', [
+                { field: 'body.email', message: 'email domain cannot receive mail', type: 'email.mx' }
+            ]));
+        }
+
+        const subscriber = await Subscriber.findOne({ email: normalizedEmail })
+            || new Subscriber({ email: normalizedEmail, ip: req.ip });
+
+        // Already confirmed, or a confirmation was sent moments ago - nothing to do
+        const recentlySent = subscriber.confirmationSentAt
+            && Date.now() - subscriber.confirmationSentAt.getTime() < NEWSLETTER_RESEND_INTERVAL_MS;
+        if (subscriber.status === 'confirmed' || (subscriber.status === 'pending' && recentlySent)) {
+            return sendNewsletterResult(req, res, next, result);
+        }
+
+        // Unsubscribed addresses can opt in again, but must confirm again
+        subscriber.status = 'pending';
+        if (name) subscriber.name = name;
+        subscriber.locale = (await resolveTemplateLocale('newsletter-confirm', locale || req.acceptsLanguages()[0])
+            .catch(() => null)) || EMAIL_DEFAULT_LOCALE;
+        subscriber.confirmationSentAt = new Date();
+        await subscriber.save();
+
+        await queueSubscriptionConfirmation(subscriber);
+
+        sendNewsletterResult(req, res, next, result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Subscription confirmation page (a GET never confirms, link scanners follow those)
+// @route   GET /api/v1/subscribe/confirm
+// @access  Public (signed token)
+const getConfirmSubscriptionPage = (req, res, next) => {
+    const email = verifyNewsletterToken(req.query.token, 'confirm');
+
+    if (!email) {
+        return sendNewsletterResult(req, res, next, INVALID_NEWSLETTER_LINK);
+    }
+
+    const action = `${req.originalUrl.split('?')[0]}?token=${encodeURIComponent(req.query.token)}`;
+    renderNewsletterPage(res, {
+        title: 'Confirm your subscription',
+        message: `Send the ImpexInfo newsletter to ${email}?`,
+        form: `<form method="post" action="${escapeHtml(action)}">
+                <button type="submit">Confirm subscription</button>
+            </form>`
+    });
+};
+
+// @desc    Confirm a newsletter subscription
+// @route   POST /api/v1/subscribe/confirm
+// @access  Public (signed token)
+const confirmSubscription = async (req, res, next) => {
+    try {
+        const email = verifyNewsletterToken(req.query.token, 'confirm');
+        const subscriber = email && await Subscriber.findOne({ email });
+
+        // An old confirmation link must not undo a later unsubscribe
+        if (!subscriber || subscriber.status === 'unsubscribed') {
+            return sendNewsletterResult(req, res, next, INVALID_NEWSLETTER_LINK);
+        }
+
+        if (subscriber.status === 'pending') {
+            subscriber.status = 'confirmed';
+            subscriber.confirmedAt = new Date();
+            await subscriber.save();
+            logger.info('Newsletter subscription confirmed', { subscriberId: subscriber._id });
+        }
+
+        sendNewsletterResult(req, res, next, {
+            title: 'Subscription confirmed',
+            message: 'You are now subscribed to the ImpexInfo newsletter. Thank you!'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Unsubscribe confirmation page (a GET never unsubscribes, link scanners follow those)
+// @route   GET /api/v1/unsubscribe
+// @access  Public (signed token)
+const getUnsubscribePage = (req, res, next) => {
+    const email = verifyNewsletterToken(req.query.token, 'unsubscribe');
+
+    if (!email) {
+        return sendNewsletterResult(req, res, next, INVALID_NEWSLETTER_LINK);
+    }
+
+    const action = `${req.originalUrl.split('?')[0]}?token=${encodeURIComponent(req.query.token)}`;
+    renderNewsletterPage(res, {
+        title: 'Unsubscribe',
+        message: `Stop sending ImpexInfo emails to ${email}?`,
+        form: `<form method="post" action="${escapeHtml(action)}">
+                <button type="submit">Unsubscribe</button>
+            </form>`
+    });
+};
+
+// @desc    Unsubscribe (RFC 8058 one-click target of the List-Unsubscribe header)
+// @route   POST /api/v1/unsubscribe
+// @access  Public (signed token)
+const unsubscribe = async (req, res, next) => {
+    try {
+        const email = verifyNewsletterToken(req.query.token, 'unsubscribe');
+
+        if (!email) {
+            return sendNewsletterResult(req, res, next, INVALID_NEWSLETTER_LINK);
+        }
+
+        // Addresses that never subscribed (e.g. from a contact email) are stored too, as a suppression list
+        const subscriber = await Subscriber.findOne({ email }) || new Subscriber({ email });
+        if (subscriber.status !== 'unsubscribed') {
+            subscriber.status = 'unsubscribed';
+            subscriber.unsubscribedAt = new Date();
+            await subscriber.save();
+            logger.info('Newsletter unsubscribe', { subscriberId: subscriber._id });
+        }
+
+        sendNewsletterResult(req, res, next, {
+            title: 'Unsubscribed',
+            message: 'You have been unsubscribed and will no longer receive these emails.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List newsletter subscribers
+// @route   GET /api/v1/subscribers
+// @access  Private (admin)
+const getSubscribers = async (req, res, next) => {
+    try {
+        const filter = {};
+
+        // Filter by status if provided
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        // Simple case-insensitive search on email and name
+        if (req.query.q) {
+            const pattern = new RegExp(String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ email: pattern }, { name: pattern }];
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [total, subscribers] = await Promise.all([
+            Subscriber.countDocuments(filter),
+            Subscriber.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: subscribers.length,
+            total,
+            pagination: buildPagination(req, page, limit, total),
+            data: subscribers
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Post list for the digest templates - escaped here because the templates insert it raw
+const renderDigestPosts = (req, blogs) => ({
+    html: blogs.map(blog => `<div style="border-bottom: 1px solid #e9ecef; padding: 15px 0;">
+    <h3 style="margin: 0 0 8px 0; font-size: 18px;"><a href="${escapeHtml(getBlogUrl(req, blog))}" style="color: #0052D4; text-decoration: none;">${escapeHtml(blog.title)}</a></h3>
+    <p style="color: #555; font-size: 15px; line-height: 1.5; margin: 0;">${escapeHtml(blog.meta.description)}</p>
+</div>`).join('\n'),
+    text: blogs.map(blog => `${blog.title}\n${blog.meta.description}\n${getBlogUrl(req, blog)}`).join('\n\n')
+});
+
+/**
+ * Atomically claim the digest send, so two admins (or a retried request) never mail
+ * the same posts twice: take over a stale claim, or create the one sending digest.
+ * Returns the claimed digest, or null when another send holds the claim.
+ */
+const claimNewsletterDigest = async (user, now = new Date()) => {
+    const stale = await NewsletterDigest.findOneAndUpdate(
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - NEWSLETTER_DIGEST_LOCK_TIMEOUT_MS) } },
+        { lockedAt: now, until: now, sentBy: user._id },
+        { new: true }
+    );
+    if (stale) return stale;
+
+    try {
+        return await NewsletterDigest.create({ status: 'sending', lockedAt: now, until: now, sentBy: user._id });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+// Give up a claim that mailed nothing, so the next send can start right away
+const releaseNewsletterDigest = async (digest) => {
+    if (digest) await NewsletterDigest.deleteOne({ _id: digest._id, status: 'sending' });
+};
+
+// @desc    Email confirmed subscribers the blogs published since the last digest
+// @route   POST /api/v1/newsletter/digest
+// @access  Private (admin)
+const sendNewsletterDigest = async (req, res, next) => {
+    let digest = null;
+    let queued = 0;
+
+    try {
+        // Claim before looking up the last digest, so a send that finished meanwhile is seen
+        if (!req.body.dryRun) {
+            digest = await claimNewsletterDigest(req.user);
+            if (!digest) {
+                return next(new ErrorResponse('Another newsletter digest is being sent', 409, 'DIGEST_IN_PROGRESS'));
+            }
+        }
+
+        const lastDigest = await NewsletterDigest.findOne({ status: { $ne: 'sending' } }).sort({ until: -1 });
+        const until = digest ? digest.until : new Date();
+        const since = req.body.since
+            || (lastDigest ? lastDigest.until : new Date(until.getTime() - 7 * 24 * 60 * 60 * 1000));
+
+        // Live right now, and published in the window - scheduled posts the scheduler
+        // has not picked up yet count from their publishAt
+        const blogs = await Blog.find({
+            $and: [
+                getEffectiveStatusFilter('published', until),
+                {
+                    $or: [
+                        { publishedAt: { $gt: since, $lte: until } },
+                        { publishedAt: null, publishAt: { $gt: since, $lte: until } }
+                    ]
+                }
+            ]
+        })
+            .sort({ publishedAt: -1 })
+            .limit(NEWSLETTER_DIGEST_MAX_POSTS);
+
+        if (!blogs.length) {
+            await releaseNewsletterDigest(digest);
+            return next(new ErrorResponse('No blogs have been published since the last digest', 409, 'NOTHING_TO_SEND'));
+        }
+
+        const recipients = await Subscriber.countDocuments({ status: 'confirmed' });
+
+        if (!recipients) {
+            await releaseNewsletterDigest(digest);
+            return next(new ErrorResponse('There are no confirmed subscribers', 409, 'NO_RECIPIENTS'));
+        }
+
+        if (req.body.dryRun) {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    dryRun: true,
+                    since,
+                    until,
+                    recipients,
+                    blogs: blogs.map(blog => ({ _id: blog._id, title: blog.title, slug: blog.slug, publishedAt: blog.publishedAt }))
+                }
+            });
+        }
+
+        digest.set({ since, blogs: blogs.map(blog => blog._id) });
+
+        // Every subscriber gets their own copy with their own unsubscribe link
+        const posts = renderDigestPosts(req, blogs);
+        const cursor = Subscriber.find({ status: 'confirmed' }).cursor();
+        let batch = [];
+
+        const flush = async () => {
+            await OutboxEmail.insertMany(batch);
+            queued += batch.length;
+            batch = [];
+        };
+
+        for await (const subscriber of cursor) {
+            const digestEmail = await renderEmailTemplate('newsletter-digest', subscriber.locale, {
+                name: subscriber.name,
+                postCount: blogs.length,
+                postsHtml: posts.html,
+                postsText: posts.text,
+                unsubscribeUrl: getUnsubscribeUrl(subscriber.email)
+            });
+
+            batch.push({
+                mailOptions: {
+                    from: {
+                        name: 'ImpexInfo Newsletter',
+                        address: mailConfig.from
+                    },
+                    to: subscriber.email,
+                    subject: digestEmail.subject,
+                    html: digestEmail.html,
+                    text: digestEmail.text,
+                    headers: {
+                        ...getListUnsubscribeHeaders(subscriber.email),
+                        'Precedence': 'bulk'
+                    }
+                }
+            });
+
+            if (batch.length >= NEWSLETTER_BATCH_SIZE) await flush();
+        }
+        if (batch.length) await flush();
+
+        digest.set({ status: 'sent', recipients: queued, lockedAt: undefined });
+        await digest.save();
+
+        logger.info('Newsletter digest queued', { digestId: digest._id, blogs: blogs.length, recipients: queued });
+
+        res.status(201).json({
+            success: true,
+            data: digest
+        });
+    } catch (error) {
+        // Once emails are queued, record the digest as sent to those, so a retry does not mail them again
+        const settle = queued
+            ? digest.set({ status: 'sent', recipients: queued, lockedAt: undefined }).save()
+            : releaseNewsletterDigest(digest);
+        await settle.catch(settleError => logger.error('Newsletter digest claim could not be settled', { error: settleError }));
+        if (queued) logger.error('Newsletter digest failed after queueing emails', { digestId: digest._id, recipients: queued, error });
+        next(error);
+    }
+};
+
+/**
+ * Webhook Controller
+ * Admin management of webhook subscriptions and their delivery log
+ */
+
+// @desc    List webhooks
+// @route   GET /api/v1/webhooks
+// @access  Private (admin)
+const getWebhooks = async (req, res, next) => {
+    try {
+        const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: webhooks.length,
+            data: webhooks
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Reject endpoints that point back into our own network
+const validateWebhookTarget = async (url) => {
+    const reason = await checkWebhookTarget(url);
+    if (reason) {
+        throw new ErrorResponse('Validation failed', 400, 'VALIDATION_ERROR', [
+            { field: 'body.url', message: reason, type: 'url.blocked' }
+        ]);
+    }
+};
+
+// @desc    Create a webhook (the response is the only time the secret is shown)
+// @route   POST /api/v1/webhooks
+// @access  Private (admin)
+const createWebhook = async (req, res, next) => {
+    try {
+        await validateWebhookTarget(req.body.url);
+        const webhook = await Webhook.create({ ...req.body, createdBy: req.user._id });
+
+        res.status(201).json({
+            success: true,
+            data: webhook
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a webhook
+// @route   GET /api/v1/webhooks/:id
+// @access  Private (admin)
+const getWebhook = async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findById(req.params.id);
+
+        if (!webhook) {
+            return next(new ErrorResponse('Webhook not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: webhook
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update a webhook (rotateSecret: true returns a new secret)
+// @route   PUT /api/v1/webhooks/:id
+// @access  Private (admin)
+const updateWebhook = async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findById(req.params.id);
+
+        if (!webhook) {
+            return next(new ErrorResponse('Webhook not found', 404));
+        }
+
+        const { rotateSecret, ...updates } = req.body;
+        if (updates.url) await validateWebhookTarget(updates.url);
+        webhook.set(updates);
+        if (rotateSecret) {
+            webhook.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        }
+        await webhook.save();
+
+        res.status(200).json({
+            success: true,
+            data: webhook
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/v1/webhooks/:id
+// @access  Private (admin)
+const deleteWebhook = async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findById(req.params.id);
+
+        if (!webhook) {
+            return next(new ErrorResponse('Webhook not found', 404));
+        }
+
+        await webhook.deleteOne();
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List deliveries of a webhook with their attempt log
+// @route   GET /api/v1/webhooks/:id/deliveries
+// @access  Private (admin)
+const getWebhookDeliveries = async (req, res, next) => {
+    try {
+        const filter = { webhook: req.params.id };
+
+        // Filter by status if provided (e.g. ?status=dead)
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        // Filter by event if provided
+        if (req.query.event) {
+            filter.event = req.query.event;
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [total, deliveries] = await Promise.all([
+            WebhookDelivery.countDocuments(filter),
+            WebhookDelivery.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: deliveries.length,
+            total,
+            pagination: buildPagination(req, page, limit, total),
+            data: deliveries
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Send a delivery again (dead-lettered or already delivered)
+// @route   POST /api/v1/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private (admin)
+const redeliverWebhook = async (req, res, next) => {
+    try {
+        const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id });
+
+        if (!delivery) {
+            return next(new ErrorResponse('Delivery not found', 404));
+        }
+
+        if (!['dead', 'delivered'].includes(delivery.status)) {
+            return next(new ErrorResponse('Only dead-lettered or delivered webhooks can be sent again', 409, 'INVALID_STATE'));
+        }
+
+        // The attempt log is kept, the attempt budget starts over
+        delivery.status = 'queued';
+        delivery.attempts = 0;
+        delivery.nextAttemptAt = new Date();
+        delivery.deliveredAt = null;
+        await delivery.save();
+
+        res.status(200).json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Email Template Controller
+ * Lets the marketing team preview templates with sample data
+ */
+
+// @desc    List email templates and their locales
+// @route   GET /api/v1/email-templates
+// @access  Private (admin, editor)
+const getEmailTemplates = async (req, res, next) => {
+    try {
+        const data = await Promise.all(Object.keys(EMAIL_TEMPLATE_SAMPLES).map(async (name) => ({
+            name,
+            locales: await getTemplateLocales(name)
+        })));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Render an email template with sample data
+// @route   GET /api/v1/email-templates/:name/preview?locale=es&format=html|text|json
+// @access  Private (admin, editor)
+const previewEmailTemplate = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+        const { locale, format = 'html' } = req.query;
+
+        if (!EMAIL_TEMPLATE_SAMPLES[name]) {
+            return next(new ErrorResponse(`Email template "${name}" not found`, 404));
+        }
+
+        const overrides = Object.fromEntries(EMAIL_PREVIEW_OVERRIDE_FIELDS
+            .filter(field => req.query[field] !== undefined)
+            .map(field => [field, req.query[field]]));
+
+        // Query parameters override the sample values, and templates are re-read from disk
+        const rendered = await renderEmailTemplate(name, locale, {
+            ...EMAIL_TEMPLATE_SAMPLES[name],
+            ...overrides
+        }, { fresh: true });
+
+        if (format === 'text') {
+            return res.type('text/plain').send(rendered.text || '');
+        }
+
+        if (format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: rendered
+            });
+        }
+
+        // Email markup relies on inline styles and remote images, but never scripts
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:; frame-ancestors 'none'");
+        res.type('html').send(rendered.html || '');
+    } catch (error) {
+        if (error.code === 'TEMPLATE_NOT_FOUND') {
+            return next(new ErrorResponse(error.message, 404));
+        }
+        next(error);
+    }
+};
+
+/**
+ * Mail Controller
+ * Inspection of messages held by the capture transport
+ */
+
+// @desc    List captured emails (MAIL_TRANSPORT=capture only)
+// @route   GET /api/v1/mail/captured
+// @access  Private (admin)
+const getCapturedMail = (req, res, next) => {
+    if (mailConfig.transport !== 'capture') {
+        return next(new ErrorResponse('Mail capture is not enabled (set MAIL_TRANSPORT=capture)', 409, 'CAPTURE_DISABLED'));
+    }
+
+    res.status(200).json({
+        success: true,
+        count: capturedMail.length,
+        data: capturedMail
+    });
+};
+
+// @desc    Clear captured emails
+// @route   DELETE /api/v1/mail/captured
+// @access  Private (admin)
+const clearCapturedMail = (req, res) => {
+    capturedMail.length = 0;
+
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+};
+
+/**
+ * Metrics Controller
+ * Prometheus scrape endpoint
+ */
+
+// Scrapers send METRICS_TOKEN as a bearer token. Without one the endpoint is hidden,
+// unless METRICS_PUBLIC=true opens it (e.g. behind a private network)
+const getMetricsToken = () => process.env.METRICS_TOKEN;
+const isMetricsPublic = () => process.env.METRICS_PUBLIC === 'true';
+
+// @desc    Prometheus metrics
+// @route   GET /metrics
+// @access  Bearer METRICS_TOKEN, or public with METRICS_PUBLIC=true
+const getMetrics = async (req, res, next) => {
+    try {
+        const token = getMetricsToken();
+
+        if (token) {
+            const authorization = req.get('Authorization') || '';
+            const supplied = authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+            const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+            if (!crypto.timingSafeEqual(digest(supplied), digest(token))) {
+                return next(new ErrorResponse('Not authorized to access this route', 401));
+            }
+        } else if (!isMetricsPublic()) {
+            return next(new ErrorResponse(`Route ${req.method} ${req.originalUrl} not found`, 404, 'ROUTE_NOT_FOUND'));
+        }
+
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.send(await metricsRegistry.metrics());
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Health Controller
+ * Probes for orchestrators and load balancers
+ */
+
+// @desc    Database, email server and process status
+// @route   GET /api/v1/status
+// @access  Public
+const getStatus = (req, res) => {
+    res.json({
+        success: true,
+        status: {
+            database: {
+                connected: dbStatus,
+                message: dbStatus ? "MongoDB is connected" : "MongoDB is disconnected"
+            },
+            emailServer: {
+                ready: emailServerStatus,
+                transport: mailConfig.transport,
+                message: emailServerStatus ? "Email server is ready" : "Email server is not ready"
+            },
+            server: {
+                status: shuttingDown ? "shutting_down" : dbStatus ? "running" : "degraded",
+                port: PORT
+            }
+        }
+    });
+};
+
+// @desc    Liveness probe - the process is up and serving requests
+// @route   GET /api/v1/health/live
+// @access  Public
+const getLiveness = (req, res) => {
+    res.status(200).json({
+        success: true,
+        status: 'alive',
+        uptime: process.uptime()
+    });
+};
+
+// @desc    Readiness probe - MongoDB is reachable and the server is not draining
+// @route   GET /api/v1/health/ready
+// @access  Public
+const getReadiness = (req, res) => {
+    const ready = dbStatus && !shuttingDown;
+
+    res.status(ready ? 200 : 503).json({
+        success: ready,
+        status: shuttingDown ? 'shutting_down' : ready ? 'ready' : 'not_ready',
+        checks: {
+            database: { ok: dbStatus, checkedAt: healthChecks.databaseCheckedAt },
+            // Reported but not required: contact emails wait in the outbox until it recovers
+            emailServer: { ok: emailServerStatus, checkedAt: healthChecks.emailCheckedAt }
+        }
+    });
+};
+
+// ==================== OUTBOX WORKER ====================
+
+/**
+ * Outbox Worker
+ * Polls the outbox collection and delivers queued emails.
+ * Failed sends are retried with exponential backoff until
+ * maxAttempts is reached, then the message is dead-lettered.
+ */
+const OUTBOX_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 5000;
+const OUTBOX_BACKOFF_BASE_MS = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS, 10) || 30000;
+// Messages stuck in "sending" longer than this are assumed abandoned by a crashed worker
+const OUTBOX_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+let outboxTimer = null;
+let outboxRunning = false;
+
+// Delay before the next attempt: base * 2^(attempts - 1)
+const getOutboxBackoff = (attempts) => OUTBOX_BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+
+// Keep the inquiry's emailStatus in line with its queued messages
+const syncInquiryEmailStatus = async (inquiryId) => {
+    if (!inquiryId) return;
+
+    const messages = await OutboxEmail.find({ inquiry: inquiryId }).select('status');
+    let emailStatus = 'pending';
+
+    if (messages.some(msg => msg.status === 'dead')) {
+        emailStatus = 'failed';
+    } else if (messages.length && messages.every(msg => msg.status === 'sent')) {
+        emailStatus = 'sent';
+    }
+
+    await Inquiry.updateOne({ _id: inquiryId }, { emailStatus });
+};
+
+// Messages a worker may claim at `now`: due ones, and ones whose sending lock went stale
+const getOutboxClaimFilter = (now) => ({
+    $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - OUTBOX_LOCK_TIMEOUT_MS) } }
+    ]
+});
+
+// Atomically claim the next due message so several workers never send the same email
+const claimOutboxEmail = () => {
+    const now = new Date();
+
+    return OutboxEmail.findOneAndUpdate(
+        getOutboxClaimFilter(now),
+        { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+// Requeue a failed message with backoff, or dead-letter it once maxAttempts is used up
+const recordOutboxFailure = (message, error, now = new Date()) => {
+    message.lastError = error.message;
+
+    if (message.attempts >= message.maxAttempts) {
+        message.status = 'dead';
+    } else {
+        message.status = 'queued';
+        message.nextAttemptAt = new Date(now.getTime() + getOutboxBackoff(message.attempts));
+    }
+    return message;
+};
+
+const processOutbox = async () => {
+    // Skip the tick while a previous one is still running or the DB is down
+    if (outboxRunning || !dbStatus) return;
+    outboxRunning = true;
+
+    try {
+        let message;
+        while ((message = await claimOutboxEmail())) {
+            try {
+                await sendMail(message.mailOptions);
+                message.status = 'sent';
+                message.sentAt = new Date();
+                message.lastError = null;
+                logger.info('Outbox email sent', { outboxId: message._id, to: message.mailOptions.to, attempts: message.attempts });
+            } catch (sendError) {
+                recordOutboxFailure(message, sendError);
+
+                if (message.status === 'dead') {
+                    metrics.outboxDeadLettered.inc();
+                    logger.error('Outbox email dead-lettered', { outboxId: message._id, attempts: message.attempts, error: sendError });
+                } else {
+                    logger.warn('Outbox email failed, retry scheduled', { outboxId: message._id, attempts: message.attempts, nextAttemptAt: message.nextAttemptAt, error: sendError });
+                }
+            }
+
+            message.lockedAt = null;
+            await message.save();
+            await syncInquiryEmailStatus(message.inquiry);
+        }
+    } catch (error) {
+        logger.error('Outbox worker error', { error });
+    } finally {
+        outboxRunning = false;
+    }
+};
+
+const startOutboxWorker = () => {
+    if (outboxTimer) return;
+    outboxTimer = setInterval(processOutbox, OUTBOX_POLL_INTERVAL_MS);
+    logger.info('Outbox worker started', { intervalMs: OUTBOX_POLL_INTERVAL_MS });
+};
+
+const stopOutboxWorker = () => {
+    clearInterval(outboxTimer);
+    outboxTimer = null;
+};
+
+// ==================== WEBHOOKS ====================
+
+/**
+ * Webhook Worker
+ * Events are stored as one delivery per subscribed webhook and posted by
+ * a background worker, so a slow or failing endpoint never holds up the
+ * request that caused the event. Failed calls (network errors, timeouts,
+ * non-2xx answers) are retried with exponential backoff until maxAttempts,
+ * then dead-lettered. Every attempt is kept in the delivery's attemptLog.
+ *
+ * Requests are signed like this:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the webhook secret>
+ */
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const WEBHOOK_BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS, 10) || 30000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Deliveries stuck in "sending" longer than this are assumed abandoned by a crashed worker
+const WEBHOOK_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// How much of the endpoint's answer is kept in the attempt log
+const WEBHOOK_RESPONSE_LOG_LIMIT = 1000;
+
+// Local development only: allow endpoints on loopback and private networks
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+let webhookTimer = null;
+let webhookRunning = false;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges.
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const findBlockedAddress = (addresses) => addresses.find(({ address, family }) => (
+    WEBHOOK_BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+));
+
+/**
+ * Why a webhook URL must not be called, or null when it may. Checked when a
+ * webhook is saved and again before every delivery, since DNS can change.
+ */
+const checkWebhookTarget = async (url) => {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        return 'URL is not valid';
+    }
+
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') return 'URL must use http or https';
+    if (WEBHOOK_ALLOW_PRIVATE_URLS) return null;
+
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [{ address: hostname, family: net.isIP(hostname) }]
+            : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+        return `Host ${hostname} could not be resolved`;
+    }
+
+    const blocked = findBlockedAddress(addresses);
+    return blocked ? `Host ${hostname} resolves to a private or reserved address (${blocked.address})` : null;
+};
+
+/**
+ * dns.lookup for webhook connections. The socket connects to the address
+ * checked here, so a host cannot pass checkWebhookTarget and then resolve
+ * to a private address when the request is made (DNS rebinding).
+ */
+const lookupWebhookHost = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = !WEBHOOK_ALLOW_PRIVATE_URLS && findBlockedAddress(addresses);
+        if (blocked) {
+            const blockedError = new Error(`Host ${hostname} resolves to a private or reserved address (${blocked.address})`);
+            blockedError.code = 'WEBHOOK_TARGET_BLOCKED';
+            return callback(blockedError);
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const getWebhookBackoff = (attempts) => WEBHOOK_BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+
+// Blog fields sent with blog.* events (category must be populated for its name)
+const getBlogWebhookData = (blog) => ({
+    id: blog._id,
+    title: blog.title,
+    slug: blog.slug,
+    status: blog.status,
+    category: blog.category && blog.category.name
+        ? { id: blog.category._id, name: blog.category.name, slug: blog.category.slug }
+        : blog.category,
+    tags: blog.tags,
+    excerpt: blog.meta.description,
+    url: blog.meta.canonicalUrl,
+    imageUrl: blog.imageUrl,
+    publishedAt: blog.publishedAt,
+    createdAt: blog.createdAt,
+    updatedAt: blog.updatedAt
+});
+
+// Inquiry fields sent with contact.submitted
+const getInquiryWebhookData = (inquiry) => ({
+    id: inquiry._id,
+    name: inquiry.name,
+    email: inquiry.email,
+    phone: inquiry.phone,
+    message: inquiry.message,
+    locale: inquiry.locale,
+    spamScore: inquiry.spamScore,
+    createdAt: inquiry.createdAt
+});
+
+/**
+ * Queue an event for every active webhook subscribed to it.
+ * Never throws - a webhook problem must not fail the request that caused the event.
+ */
+const emitWebhookEvent = async (event, data) => {
+    try {
+        const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+        if (!webhooks.length) return;
+
+        await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+            webhook: webhook._id,
+            event,
+            payload: JSON.parse(JSON.stringify(data))
+        })));
+    } catch (error) {
+        logger.error('Failed to queue webhook event', { event, error });
+    }
+};
+
+const signWebhookPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// POST the body without following redirects; resolves with the status and the start of the answer
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        // A fresh connection per delivery, so every request goes through lookupWebhookHost
+        agent: false,
+        lookup: lookupWebhookHost,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+            if (responseBody.length < WEBHOOK_RESPONSE_LOG_LIMIT) responseBody += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body: responseBody.slice(0, WEBHOOK_RESPONSE_LOG_LIMIT) }));
+        response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+});
+
+// POST one delivery and describe the attempt; resolves even when the call fails
+const sendWebhookRequest = async (webhook, delivery) => {
+    const body = JSON.stringify({
+        id: delivery._id,
+        event: delivery.event,
+        createdAt: delivery.createdAt,
+        data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = process.hrtime.bigint();
+    const attempt = { at: new Date() };
+
+    const blockedReason = await checkWebhookTarget(webhook.url);
+    if (blockedReason) {
+        attempt.error = `Not sent: ${blockedReason}`;
+        attempt.durationMs = 0;
+        return attempt;
+    }
+
+    try {
+        // A redirect is a failure, not something to follow with the signed body
+        const response = await postWebhook(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': `ImpexInfo-Webhooks/${API_VERSION}`,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery._id),
+            'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, body)}`
+        }, body);
+
+        attempt.statusCode = response.status;
+        attempt.responseBody = response.body;
+        if (response.status < 200 || response.status > 299) attempt.error = `Endpoint answered ${response.status}`;
+    } catch (error) {
+        if (error.code === 'WEBHOOK_TARGET_BLOCKED') {
+            attempt.error = `Not sent: ${error.message}`;
+        } else if (error.name === 'AbortError') {
+            attempt.error = `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`;
+        } else {
+            attempt.error = error.message;
+        }
+    }
+
+    attempt.durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+    return attempt;
+};
+
+// Atomically claim the next due delivery so several workers never post the same event
+const claimWebhookDelivery = () => {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - WEBHOOK_LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+const processWebhookDeliveries = async () => {
+    // Skip the tick while a previous one is still running or the DB is down
+    if (webhookRunning || !dbStatus) return;
+    webhookRunning = true;
+
+    try {
+        let delivery;
+        while ((delivery = await claimWebhookDelivery())) {
+            const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+            const attempt = webhook && webhook.active
+                ? await sendWebhookRequest(webhook, delivery)
+                : { at: new Date(), error: 'Webhook was deleted or disabled' };
+
+            delivery.attemptLog.push(attempt);
+
+            if (!attempt.error) {
+                delivery.status = 'delivered';
+                delivery.deliveredAt = new Date();
+                metrics.webhookDeliveries.inc({ event: delivery.event, result: 'success' });
+                logger.info('Webhook delivered', { deliveryId: delivery._id, event: delivery.event, status: attempt.statusCode, attempts: delivery.attempts });
+            } else if (!webhook || !webhook.active || delivery.attempts >= delivery.maxAttempts) {
+                delivery.status = 'dead';
+                metrics.webhookDeliveries.inc({ event: delivery.event, result: 'dead' });
+                logger.error('Webhook delivery dead-lettered', { deliveryId: delivery._id, event: delivery.event, attempts: delivery.attempts, reason: attempt.error });
+            } else {
+                delivery.status = 'queued';
+                delivery.nextAttemptAt = new Date(Date.now() + getWebhookBackoff(delivery.attempts));
+                metrics.webhookDeliveries.inc({ event: delivery.event, result: 'failure' });
+                logger.warn('Webhook delivery failed, retry scheduled', { deliveryId: delivery._id, event: delivery.event, attempts: delivery.attempts, nextAttemptAt: delivery.nextAttemptAt, reason: attempt.error });
+            }
+
+            delivery.lockedAt = null;
+            await delivery.save();
+        }
+    } catch (error) {
+        logger.error('Webhook worker error', { error });
+    } finally {
+        webhookRunning = false;
+    }
+};
+
+const startWebhookWorker = () => {
+    if (webhookTimer) return;
+    webhookTimer = setInterval(processWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS);
+    logger.info('Webhook worker started', { intervalMs: WEBHOOK_POLL_INTERVAL_MS });
+};
+
+const stopWebhookWorker = () => {
+    clearInterval(webhookTimer);
+    webhookTimer = null;
+};
+
+// ==================== PUBLISH SCHEDULER ====================
+
+/**
+ * Publish Scheduler
+ * Publishes drafts whose publishAt has passed and unpublishes posts
+ * whose unpublishAt has passed. Each transition is a single atomic
+ * findOneAndUpdate guarded by the current state, so several server
+ * instances can run the scheduler at once without double transitions.
+ * Runs once on boot to catch up on anything missed while offline.
+ */
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30000;
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+// Claim and apply one transition at a time, recording a revision (and the optional webhook event) for each
+const applyScheduledTransitions = async (query, update, label, event) => {
+    let count = 0;
+    let previous;
+
+    while ((previous = await Blog.findOneAndUpdate(query(), update, { new: false }))) {
+        count++;
+
+        await createBlogRevision({
+            blog: previous._id,
+            snapshot: getBlogSnapshot(previous),
+            changedFields: ['status'],
+            action: 'schedule'
+        });
+        logger.info(`Blog ${label}`, { blogId: previous._id, title: previous.title });
+
+        if (event) {
+            const blog = await Blog.findById(previous._id).populate('category', BLOG_CATEGORY_FIELDS);
+            if (blog) await emitWebhookEvent(event, getBlogWebhookData(blog));
+        }
+    }
+
+    return count;
+};
+
+const runPublishScheduler = async () => {
+    if (schedulerRunning || !dbStatus) return;
+    schedulerRunning = true;
+
+    try {
+        await applyScheduledTransitions(
+            () => {
+                const now = new Date();
+                // A post whose unpublishAt has passed too stays down
+                return { status: 'draft', publishAt: { $ne: null, $lte: now }, $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] };
+            },
+            // publishAt and unpublishAt are kept as the schedule history
+            [{ $set: { status: 'published', publishedAt: { $ifNull: ['$publishedAt', '$$NOW'] } } }],
+            'published by schedule',
+            'blog.published'
+        );
+
+        await applyScheduledTransitions(
+            () => ({ status: 'published', unpublishAt: { $ne: null, $lte: new Date() } }),
+            { $set: { status: 'draft' } },
+            'unpublished by schedule'
+        );
+    } catch (error) {
+        logger.error('Publish scheduler error', { error });
+    } finally {
+        schedulerRunning = false;
+    }
+};
+
+const startPublishScheduler = async () => {
+    if (schedulerTimer) return;
+
+    // Reconcile anything that should have happened while the server was down
+    await runPublishScheduler();
+    schedulerTimer = setInterval(runPublishScheduler, SCHEDULER_INTERVAL_MS);
+    logger.info('Publish scheduler started', { intervalMs: SCHEDULER_INTERVAL_MS });
+};
+
+const stopPublishScheduler = () => {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+};
+
+/**
+ * Trash Purge
+ * Every TRASH_PURGE_INTERVAL_MS, permanently deletes blogs that have been
+ * in the trash longer than TRASH_RETENTION_DAYS (0 keeps them forever).
+ */
+const TRASH_PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const TRASH_PURGE_BATCH_SIZE = 100;
+
+let trashPurgeTimer = null;
+let trashPurgeRunning = false;
+
+const runTrashPurge = async () => {
+    if (trashPurgeRunning || !dbStatus || shuttingDown) return;
+    trashPurgeRunning = true;
+
+    try {
+        const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        let purged = 0;
+        let batch;
+
+        do {
+            batch = await Blog.find({ deletedAt: { $ne: null, $lte: cutoff } })
+                .limit(TRASH_PURGE_BATCH_SIZE)
+                .select('_id')
+                .lean();
+            if (batch.length) purged += await purgeBlogs(batch.map(blog => blog._id));
+        } while (batch.length === TRASH_PURGE_BATCH_SIZE && !shuttingDown);
+
+        if (purged) logger.info('Purged trashed blogs', { count: purged, retentionDays: TRASH_RETENTION_DAYS });
+    } catch (error) {
+        logger.error('Trash purge error', { error });
+    } finally {
+        trashPurgeRunning = false;
+    }
+};
+
+const startTrashPurge = async () => {
+    if (trashPurgeTimer || !TRASH_RETENTION_DAYS) return;
+
+    await runTrashPurge();
+    trashPurgeTimer = setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS);
+    logger.info('Trash purge started', { intervalMs: TRASH_PURGE_INTERVAL_MS, retentionDays: TRASH_RETENTION_DAYS });
+};
+
+const stopTrashPurge = () => {
+    clearInterval(trashPurgeTimer);
+    trashPurgeTimer = null;
+};
+
+// ==================== HEALTH & SHUTDOWN ====================
+
+/**
+ * Health Checks
+ * Re-verifies the email server and pings MongoDB every
+ * HEALTH_CHECK_INTERVAL_MS so the status flags, readiness probe and
+ * metrics follow outages that happen after boot.
+ */
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) || 60000;
+
+const healthChecks = {
+    databaseCheckedAt: null,
+    emailCheckedAt: null
+};
+
+let healthTimer = null;
+let healthCheckRunning = false;
+
+const checkDatabaseHealth = async () => {
+    const wasUp = dbStatus;
+
+    try {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('MongoDB is not connected');
+        }
+        await mongoose.connection.db.admin().ping();
+        dbStatus = true;
+        if (!wasUp) logger.info('MongoDB health check recovered');
+    } catch (error) {
+        dbStatus = false;
+        if (wasUp) logger.error('MongoDB health check failed', { error });
+    }
+
+    healthChecks.databaseCheckedAt = new Date();
+    return dbStatus;
+};
+
+const runHealthChecks = async () => {
+    if (healthCheckRunning || shuttingDown) return;
+    healthCheckRunning = true;
+
+    try {
+        await Promise.all([
+            verifyEmailServer().then(() => { healthChecks.emailCheckedAt = new Date(); }),
+            checkDatabaseHealth()
+        ]);
+    } finally {
+        healthCheckRunning = false;
+    }
+};
+
+const startHealthChecks = () => {
+    if (healthTimer) return;
+    healthTimer = setInterval(runHealthChecks, HEALTH_CHECK_INTERVAL_MS);
+};
+
+const stopHealthChecks = () => {
+    clearInterval(healthTimer);
+    healthTimer = null;
+};
+
+/**
+ * Database Startup Tasks
+ * Seeding, migrations and background workers need MongoDB. They run once,
+ * either before listening or - in degraded mode - on the first connection.
+ */
+let databaseTasksStarted = false;
+
+const runDatabaseStartupTasks = async () => {
+    if (databaseTasksStarted || shuttingDown) return;
+    databaseTasksStarted = true;
+
+    await seedAdminUser();
+    await migrateBlogCategories();
+    await backfillBlogFields();
+    startOutboxWorker();
+    startWebhookWorker();
+    await startPublishScheduler();
+    await startTrashPurge();
+};
+
+/**
+ * Graceful Shutdown
+ * On SIGTERM/SIGINT: fail readiness, stop background timers, stop
+ * accepting connections, let in-flight requests and worker ticks finish,
+ * then close MongoDB. Anything still open after SHUTDOWN_TIMEOUT_MS is cut.
+ */
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+// Listen before MongoDB is reachable instead of waiting for it
+const START_DEGRADED = process.env.START_DEGRADED === 'true';
+// Hop to the next free port when PORT is taken (off by default - it hides misconfiguration)
+const PORT_FALLBACK = process.env.PORT_FALLBACK === 'true';
+
+let server = null;
+
+const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+    setTimeout(() => {
+        logger.error('Shutdown timed out, closing remaining connections');
+        if (server) server.closeAllConnections();
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    clearTimeout(dbRetryTimer);
+    stopHealthChecks();
+    stopOutboxWorker();
+    stopWebhookWorker();
+    stopPublishScheduler();
+    stopTrashPurge();
+
+    try {
+        if (server && server.listening) {
+            await new Promise((resolve, reject) => {
+                server.close((error) => (error ? reject(error) : resolve()));
+                server.closeIdleConnections();
+            });
+        }
+
+        // Let a running outbox, webhook, scheduler or trash purge tick finish before the database goes away
+        while (outboxRunning || webhookRunning || schedulerRunning || trashPurgeRunning) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+
+        await mongoose.connection.close();
+        logger.info('Shutdown complete');
+        process.exit(0);
+    } catch (error) {
+        logger.error('Error during shutdown', { error });
+        process.exit(1);
+    }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// ==================== VALIDATION SCHEMAS ====================
+
+/**
+ * Request Schemas
+ * One entry per route, each with optional params, query and body schemas
+ * (see the validate middleware)
+ */
+const objectId = Joi.string().hex().length(24).messages({
+    'string.hex': '{#label} must be a valid id',
+    'string.length': '{#label} must be a valid id'
+});
+const idParams = Joi.object({ id: objectId.required() });
+const paginationQuery = {
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+};
+const emailAddress = Joi.string().trim().max(254).custom((value, helpers) => (
+    isValidEmailAddress(value.toLowerCase()) ? value : helpers.error('string.email')
+));
+const webhookUrl = Joi.string().trim().max(2048).uri({ scheme: ['http', 'https'] });
+const webhookEvents = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+const tagList = Joi.alternatives().try(
+    Joi.array().items(Joi.string().trim().max(50)).max(20),
+    Joi.string().allow('')
+);
+const seoSchema = Joi.object({
+    metaTitle: Joi.string().trim().max(70).allow(''),
+    metaDescription: Joi.string().trim().max(160).allow(''),
+    canonicalUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).allow(''),
+    ogImage: Joi.string().trim().allow('')
+});
+const blogFields = {
+    title: Joi.string().trim().max(100),
+    description: Joi.string().trim(),
+    contentFormat: Joi.string().valid('markdown', 'html'),
+    category: Joi.string().trim().max(100),
+    tags: tagList,
+    imageUrl: Joi.string().trim(),
+    status: Joi.string().valid('published', 'draft'),
+    publishAt: Joi.date().allow(null),
+    unpublishAt: Joi.date().allow(null),
+    slug: Joi.string().trim().max(100),
+    seo: seoSchema
+};
+
+const schemas = {
+    getBlogs: {
+        query: Joi.object({
+            q: Joi.string().trim().max(200),
+            status: Joi.string().valid('published', 'draft'),
+            category: Joi.string().trim().max(100),
+            tags: Joi.string().trim().max(500),
+            tagMatch: Joi.string().valid('any', 'all'),
+            sort: Joi.string().trim().max(200),
+            fields: Joi.string().trim().max(500),
+            ...paginationQuery
+        })
+    },
+    getBlog: { params: idParams },
+    getBlogBySlug: { params: Joi.object({ slug: Joi.string().trim().max(200).required() }) },
+    getRelatedBlogs: {
+        params: idParams,
+        query: Joi.object({ limit: Joi.number().integer().min(1).max(20) })
+    },
+    createBlog: {
+        body: Joi.object({
+            ...blogFields,
+            title: blogFields.title.required(),
+            description: blogFields.description.required(),
+            category: blogFields.category.required(),
+            imageUrl: blogFields.imageUrl.required(),
+            status: blogFields.status.required()
+        })
+    },
+    updateBlog: { params: idParams, body: Joi.object(blogFields).min(1) },
+    deleteBlog: { params: idParams },
+    getBlogTrash: { query: Joi.object(paginationQuery) },
+    restoreBlog: { params: idParams },
+    purgeBlog: { params: idParams },
+    getBlogRevisions: { params: idParams, query: Joi.object(paginationQuery) },
+    diffBlogRevisions: {
+        params: idParams,
+        query: Joi.object({
+            from: Joi.alternatives().try(objectId, Joi.string().valid('current')).required(),
+            to: Joi.alternatives().try(objectId, Joi.string().valid('current'))
+        })
+    },
+    getBlogRevision: { params: Joi.object({ id: objectId.required(), revisionId: objectId.required() }) },
+    restoreBlogRevision: { params: Joi.object({ id: objectId.required(), revisionId: objectId.required() }) },
+    login: {
+        body: Joi.object({
+            email: Joi.string().trim().email().required(),
+            password: Joi.string().required()
+        })
+    },
+    createUser: {
+        body: Joi.object({
+            name: Joi.string().trim().max(100).required(),
+            email: Joi.string().trim().email().required(),
+            password: Joi.string().min(8).max(128).required(),
+            role: Joi.string().valid('admin', 'editor')
+        })
+    },
+    getTags: {
+        query: Joi.object({
+            q: Joi.string().trim().max(50),
+            limit: Joi.number().integer().min(1).max(500)
+        })
+    },
+    getCategory: { params: Joi.object({ id: Joi.string().trim().max(100).required() }) },
+    createCategory: {
+        body: Joi.object({
+            name: Joi.string().trim().max(50).required(),
+            description: Joi.string().trim().max(500).allow(''),
+            order: Joi.number().integer()
+        })
+    },
+    updateCategory: {
+        params: idParams,
+        body: Joi.object({
+            name: Joi.string().trim().max(50),
+            description: Joi.string().trim().max(500).allow(''),
+            order: Joi.number().integer()
+        }).min(1)
+    },
+    deleteCategory: {
+        params: idParams,
+        query: Joi.object({ reassignTo: Joi.string().trim().max(100) })
+    },
+    submitContactForm: {
+        body: Joi.object({
+            name: Joi.string().trim().max(100).required(),
+            email: emailAddress.required(),
+            phone: Joi.string().trim().max(30).allow(''),
+            message: Joi.string().trim().max(5000).required(),
+            locale: Joi.string().trim().max(20),
+            // Honeypot must reach the controller, whatever a bot puts in it (and stays out of the docs)
+            [CONTACT_HONEYPOT_FIELD]: Joi.any().meta({ docs: false })
+        })
+    },
+    getInquiries: {
+        query: Joi.object({
+            status: Joi.string().valid('new', 'in_progress', 'resolved', 'spam'),
+            assignee: Joi.alternatives().try(objectId, Joi.string().valid('none')),
+            emailStatus: Joi.string().valid('pending', 'sent', 'failed', 'held'),
+            from: Joi.date(),
+            to: Joi.date(),
+            q: Joi.string().trim().max(200),
+            ...paginationQuery
+        })
+    },
+    getInquiry: { params: idParams },
+    updateInquiry: {
+        params: idParams,
+        body: Joi.object({
+            status: Joi.string().valid('new', 'in_progress', 'resolved', 'spam'),
+            assignee: objectId.allow(null, ''),
+            note: Joi.string().trim().max(5000)
+        }).min(1)
+    },
+    releaseInquiry: { params: idParams },
+    getOutboxEmails: {
+        query: Joi.object({
+            status: Joi.string().valid('queued', 'sending', 'sent', 'dead'),
+            ...paginationQuery
+        })
+    },
+    requeueOutboxEmail: { params: idParams },
+    getSubscribePage: { query: Joi.object({ email: Joi.string().trim().max(254).allow('') }) },
+    subscribe: {
+        body: Joi.object({
+            email: emailAddress.required(),
+            name: Joi.string().trim().max(100).allow(''),
+            locale: Joi.string().trim().max(20),
+            [CONTACT_HONEYPOT_FIELD]: Joi.any().meta({ docs: false })
+        })
+    },
+    // Confirmation and unsubscribe links
+    newsletterToken: { query: Joi.object({ token: Joi.string().max(2048).required() }) },
+    getSubscribers: {
+        query: Joi.object({
+            status: Joi.string().valid('pending', 'confirmed', 'unsubscribed'),
+            q: Joi.string().trim().max(200),
+            ...paginationQuery
+        })
+    },
+    sendNewsletterDigest: {
+        body: Joi.object({
+            since: Joi.date(),
+            dryRun: Joi.boolean()
+        })
+    },
+    createWebhook: {
+        body: Joi.object({
+            url: webhookUrl.required(),
+            events: webhookEvents.required(),
+            description: Joi.string().trim().max(500).allow(''),
+            active: Joi.boolean()
+        })
+    },
+    getWebhook: { params: idParams },
+    updateWebhook: {
+        params: idParams,
+        body: Joi.object({
+            url: webhookUrl,
+            events: webhookEvents,
+            description: Joi.string().trim().max(500).allow(''),
+            active: Joi.boolean(),
+            rotateSecret: Joi.boolean()
+        }).min(1)
+    },
+    deleteWebhook: { params: idParams },
+    getWebhookDeliveries: {
+        params: idParams,
+        query: Joi.object({
+            status: Joi.string().valid('queued', 'sending', 'delivered', 'dead'),
+            event: Joi.string().valid(...WEBHOOK_EVENTS),
+            ...paginationQuery
+        })
+    },
+    redeliverWebhook: {
+        params: Joi.object({ id: objectId.required(), deliveryId: objectId.required() })
+    },
+    previewEmailTemplate: {
+        params: Joi.object({ name: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required() }),
+        // The remaining keys override the sample data (EMAIL_PREVIEW_OVERRIDE_FIELDS)
+        query: Joi.object({
+            locale: Joi.string().trim().max(20),
+            format: Joi.string().valid('html', 'text', 'json'),
+            name: Joi.string().max(100),
+            email: Joi.string().max(254),
+            phone: Joi.string().allow('').max(30),
+            message: Joi.string().max(5000),
+            submittedAt: Joi.string().max(100),
+            postCount: Joi.number().integer().min(0).max(1000)
+        })
+    },
+    getFeed: { params: Joi.object({ category: Joi.string().trim().max(100) }) },
+    exportBlogs: {
+        query: Joi.object({
+            format: Joi.string().valid('json', 'ndjson', 'csv').default('json'),
+            status: Joi.string().valid('published', 'draft'),
+            category: Joi.string().trim().max(100)
+        })
+    },
+    // The body is the file itself, parsed by the controller
+    importBlogs: {
+        query: Joi.object({
+            format: Joi.string().valid('json', 'ndjson', 'csv'),
+            dryRun: Joi.boolean().default(false),
+            onConflict: Joi.string().valid('id', 'title').default('id')
+        })
+    },
+    getBlogAnalytics: {
+        query: Joi.object({
+            from: Joi.date(),
+            to: Joi.date(),
+            category: Joi.string().trim().max(100),
+            limit: Joi.number().integer().min(1).max(100)
+        })
+    },
+    getBlogViewAnalytics: {
+        params: idParams,
+        query: Joi.object({ from: Joi.date(), to: Joi.date() })
+    },
+    getCategoryAnalytics: {
+        query: Joi.object({ from: Joi.date(), to: Joi.date() })
+    }
+};
+
+// ==================== API DOCS ====================
+
+/**
+ * OpenAPI Document
+ * Built once, on first request, from the route table (apiRoutes), the Joi
+ * request schemas and the Mongoose models, so the docs cannot drift from
+ * the code. Served as JSON and as a server-rendered HTML page.
+ */
+const API_VERSION = require('./package.json').version;
+
+// Joi schema description (schema.describe()) to an OpenAPI 3.0 schema object
+const joiToOpenApi = (description) => {
+    const flags = description.flags || {};
+    const rules = description.rules || [];
+    const rule = (name) => rules.find((item) => item.name === name);
+    const limit = (name) => (rule(name) ? rule(name).args.limit : undefined);
+    let schema;
+
+    switch (description.type) {
+        case 'object': {
+            schema = { type: 'object', properties: {} };
+            const required = [];
+            for (const [key, child] of Object.entries(description.keys || {})) {
+                // Fields marked .meta({ docs: false }) stay out of the published docs
+                if ((child.metas || []).some((meta) => meta.docs === false)) continue;
+                schema.properties[key] = joiToOpenApi(child);
+                if ((child.flags || {}).presence === 'required') required.push(key);
+            }
+            if (required.length) schema.required = required;
+            if (flags.unknown) schema.additionalProperties = true;
+            if (limit('min') !== undefined) schema.minProperties = limit('min');
+            break;
+        }
+        case 'array':
+            schema = { type: 'array', items: description.items && description.items.length ? joiToOpenApi(description.items[0]) : {} };
+            if (limit('min') !== undefined) schema.minItems = limit('min');
+            if (limit('max') !== undefined) schema.maxItems = limit('max');
+            break;
+        case 'alternatives':
+            schema = { oneOf: (description.matches || []).map((match) => joiToOpenApi(match.schema)) };
+            break;
+        case 'number':
+            schema = { type: rule('integer') ? 'integer' : 'number' };
+            if (limit('min') !== undefined) schema.minimum = limit('min');
+            if (limit('max') !== undefined) schema.maximum = limit('max');
+            break;
+        case 'date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'string':
+            schema = { type: 'string' };
+            if (limit('min') !== undefined) schema.minLength = limit('min');
+            if (limit('max') !== undefined) schema.maxLength = limit('max');
+            if (limit('length') !== undefined) schema.minLength = schema.maxLength = limit('length');
+            if (rule('email')) schema.format = 'email';
+            if (rule('uri')) schema.format = 'uri';
+            if (rule('hex')) schema.pattern = '^[0-9a-fA-F]+$';
+            if (rule('pattern')) schema.pattern = String(rule('pattern').args.regex).replace(/^\/|\/[a-z]*$/g, '');
+            break;
+        default:
+            schema = {};
+    }
+
+    const allowed = description.allow || [];
+    if (flags.only) {
+        schema.enum = allowed;
+    } else if (allowed.includes(null)) {
+        schema.nullable = true;
+    }
+    if (flags.default !== undefined) schema.default = flags.default;
+    if (flags.description) schema.description = flags.description;
+
+    return schema;
+};
+
+const schemaTypeToOpenApi = (schemaType) => {
+    switch (schemaType.instance) {
+        case 'String':
+            return schemaType.enumValues && schemaType.enumValues.length
+                ? { type: 'string', enum: schemaType.enumValues }
+                : { type: 'string' };
+        case 'Number':
+            return { type: 'number' };
+        case 'Boolean':
+            return { type: 'boolean' };
+        case 'Date':
+            return { type: 'string', format: 'date-time' };
+        case 'ObjectId':
+            return {
+                type: 'string',
+                description: schemaType.options.ref ? `${schemaType.options.ref} id (populated on some reads)` : 'ObjectId'
+            };
+        case 'Array':
+            if (schemaType.schema) return { type: 'array', items: mongooseToOpenApi(schemaType.schema) };
+            return { type: 'array', items: schemaType.caster ? schemaTypeToOpenApi(schemaType.caster) : {} };
+        case 'Embedded':
+            return mongooseToOpenApi(schemaType.schema);
+        default:
+            return {};
+    }
+};
+
+// Mongoose schema to an OpenAPI schema object, nesting dotted paths and skipping hidden fields
+const mongooseToOpenApi = (mongooseSchema) => {
+    const root = { type: 'object', properties: {} };
+
+    mongooseSchema.eachPath((pathName, schemaType) => {
+        if (pathName === '__v' || schemaType.options.select === false) return;
+
+        const parts = pathName.split('.');
+        let target = root;
+        for (const part of parts.slice(0, -1)) {
+            target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+            target = target.properties[part];
+        }
+        target.properties[parts[parts.length - 1]] = schemaTypeToOpenApi(schemaType);
+    });
+
+    return root;
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Body of a successful response for each route `response` kind
+const buildResponseSchema = (route) => {
+    const data = route.data ? ref(route.data) : { type: 'object' };
+
+    switch (route.response) {
+        case 'paginated':
+            return {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', example: true },
+                    count: { type: 'integer' },
+                    total: { type: 'integer' },
+                    pagination: ref('Pagination'),
+                    data: { type: 'array', items: data }
+                }
+            };
+        case 'list':
+            return {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', example: true },
+                    count: { type: 'integer' },
+                    data: { type: 'array', items: data }
+                }
+            };
+        case 'message':
+            return {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' }
+                }
+            };
+        case 'token':
+            return {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', example: true },
+                    token: { type: 'string', description: 'JWT for the Authorization: Bearer header' },
+                    data: ref('AuthUser')
+                }
+            };
+        case 'body':
+            // The whole body is the named schema
+            return data;
+        default:
+            return {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', example: true },
+                    data
+                }
+            };
+    }
+};
+
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+const buildOperation = (route, { path: routePath, deprecated }) => {
+    const routeSchemas = (route.schema && schemas[route.schema]) || {};
+    const parameters = [];
+
+    // Path parameters come from the route itself so undocumented ones still show up
+    const pathParams = routeSchemas.params ? joiToOpenApi(routeSchemas.params.describe()).properties : {};
+    for (const [, name] of routePath.matchAll(/:(\w+)/g)) {
+        parameters.push({ name, in: 'path', required: true, schema: pathParams[name] || { type: 'string' } });
+    }
+
+    if (routeSchemas.query) {
+        const query = joiToOpenApi(routeSchemas.query.describe());
+        for (const [name, schema] of Object.entries(query.properties)) {
+            parameters.push({ name, in: 'query', required: (query.required || []).includes(name), schema });
+        }
+    }
+
+    const successStatus = String(route.status || 200);
+    const successContent = route.contentType
+        ? { [route.contentType]: { schema: { type: 'string' } } }
+        : { 'application/json': { schema: buildResponseSchema(route) } };
+
+    const responses = {
+        [successStatus]: { description: route.responseDescription || 'Success', content: successContent }
+    };
+    if (route.schema) responses['400'] = { $ref: '#/components/responses/BadRequest' };
+    if (route.roles) responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+    if (route.roles && route.roles.length) responses['403'] = { $ref: '#/components/responses/Forbidden' };
+    if (routePath.includes(':')) responses['404'] = { $ref: '#/components/responses/NotFound' };
+    if (route.rateLimited) responses['429'] = { $ref: '#/components/responses/TooManyRequests' };
+    responses.default = { $ref: '#/components/responses/Error' };
+
+    const notes = [];
+    if (route.description) notes.push(route.description);
+    if (route.roles) notes.push(route.roles.length ? `Requires role: ${route.roles.join(' or ')}.` : 'Requires a signed-in user.');
+    if (deprecated) notes.push(`Deprecated: use ${route.method.toUpperCase()} ${API_V1_PREFIX}${route.path}.`);
+
+    const operation = {
+        tags: [route.tag],
+        summary: route.summary,
+        operationId: `${route.id || route.handler.name}${deprecated ? 'Legacy' : ''}`,
+        parameters,
+        responses
+    };
+    if (notes.length) operation.description = notes.join(' ');
+    if (deprecated) operation.deprecated = true;
+    if (route.roles) operation.security = [{ bearerAuth: [] }];
+    if (routeSchemas.body) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: joiToOpenApi(routeSchemas.body.describe()) } }
+        };
+    }
+
+    return operation;
+};
+
+let openApiDocument = null;
+
+const buildOpenApiDocument = () => {
+    const paths = {};
+    const addOperation = (routePath, method, operation) => {
+        const key = toOpenApiPath(routePath);
+        paths[key] = paths[key] || {};
+        paths[key][method] = operation;
+    };
+
+    for (const route of apiRoutes) {
+        const fullPath = route.root ? route.path : `${API_V1_PREFIX}${route.path}`;
+        addOperation(fullPath, route.method, buildOperation(route, { path: route.path }));
+        if (route.legacyPath) {
+            addOperation(route.legacyPath, route.method, buildOperation(route, { path: route.legacyPath, deprecated: true }));
+        }
+    }
+
+    const errorResponse = (description) => ({
+        description,
+        content: { 'application/json': { schema: ref('Error') } }
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'ImpexInfo API',
+            version: API_VERSION,
+            description: 'Versioned JSON API under /api/v1. Legacy unversioned paths still work but are deprecated and answer with Deprecation and Link headers.'
+        },
+        servers: [{ url: '/' }],
+        tags: [...new Set(apiRoutes.map((route) => route.tag))].map((name) => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', example: false },
+                        error: {
+                            type: 'object',
+                            properties: {
+                                code: { type: 'string', example: 'VALIDATION_ERROR' },
+                                message: { type: 'string' },
+                                details: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string', example: 'body.email' },
+                                            message: { type: 'string' },
+                                            type: { type: 'string' }
+                                        }
+                                    }
+                                },
+                                stack: { type: 'string', description: 'Only when EXPOSE_ERROR_STACK=true' }
+                            }
+                        }
+                    }
+                },
+                Pagination: {
+                    type: 'object',
+                    properties: {
+                        page: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        pages: { type: 'integer' },
+                        next: { type: 'integer', nullable: true },
+                        prev: { type: 'integer', nullable: true },
+                        links: {
+                            type: 'object',
+                            properties: {
+                                next: { type: 'string', format: 'uri', nullable: true },
+                                prev: { type: 'string', format: 'uri', nullable: true }
+                            }
+                        }
+                    }
+                },
+                AuthUser: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        email: { type: 'string', format: 'email' },
+                        role: { type: 'string', enum: ['admin', 'editor'] }
+                    }
+                },
+                Status: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        status: {
+                            type: 'object',
+                            properties: {
+                                database: { type: 'object', properties: { connected: { type: 'boolean' }, message: { type: 'string' } } },
+                                emailServer: { type: 'object', properties: { ready: { type: 'boolean' }, transport: { type: 'string' }, message: { type: 'string' } } },
+                                server: { type: 'object', properties: { status: { type: 'string', enum: ['running', 'degraded', 'shutting_down'] }, port: { type: 'string' } } }
+                            }
+                        }
+                    }
+                },
+                Health: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        status: { type: 'string', enum: ['alive', 'ready', 'not_ready', 'shutting_down'] },
+                        uptime: { type: 'number' },
+                        checks: { type: 'object' }
+                    }
+                },
+                BlogImportResult: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        dryRun: { type: 'boolean' },
+                        summary: {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'integer' },
+                                created: { type: 'integer' },
+                                updated: { type: 'integer' },
+                                failed: { type: 'integer' }
+                            }
+                        },
+                        data: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    row: { type: 'integer', description: 'Position of the blog in the file, starting at 1' },
+                                    action: { type: 'string', enum: ['create', 'update', 'error'] },
+                                    id: { type: 'string' },
+                                    title: { type: 'string' },
+                                    errors: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                field: { type: 'string', example: 'category' },
+                                                message: { type: 'string' },
+                                                type: { type: 'string' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                DailyViews: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            date: { type: 'string', format: 'date' },
+                            views: { type: 'integer' }
+                        }
+                    }
+                },
+                BlogAnalytics: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string', format: 'date' },
+                        to: { type: 'string', format: 'date' },
+                        totalViews: { type: 'integer' },
+                        daily: { $ref: '#/components/schemas/DailyViews' },
+                        topPosts: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    blog: { $ref: '#/components/schemas/Blog' },
+                                    views: { type: 'integer', description: 'Views within the range' }
+                                }
+                            }
+                        }
+                    }
+                },
+                BlogViewAnalytics: {
+                    type: 'object',
+                    properties: {
+                        blog: { $ref: '#/components/schemas/Blog' },
+                        from: { type: 'string', format: 'date' },
+                        to: { type: 'string', format: 'date' },
+                        totalViews: { type: 'integer' },
+                        daily: { $ref: '#/components/schemas/DailyViews' }
+                    }
+                },
+                CategoryAnalytics: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string', format: 'date' },
+                        to: { type: 'string', format: 'date' },
+                        totalViews: { type: 'integer' },
+                        categories: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    category: { $ref: '#/components/schemas/Category' },
+                                    views: { type: 'integer' },
+                                    daily: { $ref: '#/components/schemas/DailyViews' }
+                                }
+                            }
+                        }
+                    }
+                },
+                Blog: mongooseToOpenApi(BlogSchema),
+                Category: mongooseToOpenApi(CategorySchema),
+                BlogRevision: mongooseToOpenApi(BlogRevisionSchema),
+                User: mongooseToOpenApi(UserSchema),
+                Inquiry: mongooseToOpenApi(InquirySchema),
+                OutboxEmail: mongooseToOpenApi(OutboxEmailSchema),
+                Subscriber: mongooseToOpenApi(SubscriberSchema),
+                NewsletterDigest: mongooseToOpenApi(NewsletterDigestSchema),
+                Webhook: mongooseToOpenApi(WebhookSchema),
+                WebhookDelivery: mongooseToOpenApi(WebhookDeliverySchema)
+            },
+            responses: {
+                BadRequest: errorResponse('Validation failed (VALIDATION_ERROR, INVALID_ID, INVALID_JSON)'),
+                Unauthorized: errorResponse('Missing or invalid token (UNAUTHORIZED)'),
+                Forbidden: errorResponse('Role not allowed (FORBIDDEN)'),
+                NotFound: errorResponse('Resource not found (NOT_FOUND)'),
+                TooManyRequests: errorResponse('Rate limit exceeded (RATE_LIMITED), see Retry-After'),
+                Error: errorResponse('Error envelope, e.g. 503 SERVICE_UNAVAILABLE while the database is down')
+            }
+        }
+    };
+};
+
+const getOpenApiDocumentCached = () => {
+    if (!openApiDocument) openApiDocument = buildOpenApiDocument();
+    return openApiDocument;
+};
+
+// One-line summary of a schema for the HTML docs ("string, max 100", "Blog[]", ...)
+const describeDocSchema = (schema = {}) => {
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+    }
+    if (schema.oneOf) return schema.oneOf.map(describeDocSchema).join(' or ');
+    if (schema.type === 'array') return `${describeDocSchema(schema.items)}[]`;
+
+    const details = [];
+    if (schema.enum) details.push(`one of ${schema.enum.map((value) => JSON.stringify(value)).join(', ')}`);
+    if (schema.format) details.push(schema.format);
+    if (schema.minLength !== undefined && schema.minLength === schema.maxLength) {
+        details.push(`length ${schema.minLength}`);
+    } else {
+        if (schema.minLength !== undefined) details.push(`min length ${schema.minLength}`);
+        if (schema.maxLength !== undefined) details.push(`max length ${schema.maxLength}`);
+    }
+    if (schema.minimum !== undefined) details.push(`min ${schema.minimum}`);
+    if (schema.maximum !== undefined) details.push(`max ${schema.maximum}`);
+    if (schema.maxItems !== undefined) details.push(`max ${schema.maxItems} items`);
+    if (schema.pattern) details.push(`pattern ${schema.pattern}`);
+    if (schema.nullable) details.push('nullable');
+
+    const type = escapeHtml(schema.type || 'any');
+    return details.length ? `${type} <span class="muted">(${escapeHtml(details.join(', '))})</span>` : type;
 };
 
-// @desc    Get single blog
-// @route   GET /api/blogs/:id
-// @access  Public
-const getBlog = async (req, res, next) => {
-    try {
-        const blog = await Blog.findById(req.params.id);
-        
-        if (!blog) {
-            return res.status(404).json({
-                success: false,
-                error: 'Blog not found'
-            });
-        }
-        
-        res.status(200).json({
-            success: true,
-            data: blog
-        });
-    } catch (error) {
-        // Handle invalid ObjectId format
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid blog ID format'
-            });
-        }
-        next(error);
+// Nested field table for object schemas
+const renderDocFields = (schema) => {
+    if (!schema || schema.$ref || schema.type !== 'object' || !schema.properties || !Object.keys(schema.properties).length) {
+        return `<p>${describeDocSchema(schema)}</p>`;
     }
+
+    const required = schema.required || [];
+    const rows = Object.entries(schema.properties).map(([name, property]) => `
+                <tr>
+                    <td><code>${escapeHtml(name)}</code>${required.includes(name) ? ' <span class="required">required</span>' : ''}</td>
+                    <td>${property.type === 'object' && property.properties ? renderDocFields(property) : describeDocSchema(property)}${property.description ? `<div class="muted">${escapeHtml(property.description)}</div>` : ''}</td>
+                </tr>`).join('');
+
+    return `<table><thead><tr><th>Field</th><th>Type</th></tr></thead><tbody>${rows}</tbody></table>`;
 };
 
-// @desc    Create new blog
-// @route   POST /api/blogs
-// @access  Public (would typically be Private in a real app)
-const createBlog = async (req, res, next) => {
-    try {
-        // Validate required fields
-        const { title, description, category, status, imageUrl } = req.body;
-        
-        if (!title || !description || !category || !status || !imageUrl) {
-            return res.status(400).json({
-                success: false,
-                error: 'Please provide title, description, category, status, and imageUrl'
-            });
-        }
-        
-        // Validate status value
-        if (status !== 'published' && status !== 'draft') {
-            return res.status(400).json({
-                success: false,
-                error: 'Status must be either "published" or "draft"'
-            });
-        }
-        
-        const blog = await Blog.create(req.body);
-        
-        res.status(201).json({
-            success: true,
-            data: blog
-        });
-    } catch (error) {
-        // Handle validation errors from Mongoose
-        if (error.name === 'ValidationError') {
-            const messages = Object.values(error.errors).map(val => val.message);
-            return res.status(400).json({
-                success: false,
-                error: messages
-            });
-        }
-        next(error);
-    }
+const renderDocOperation = (pathName, method, operation) => {
+    const parameters = operation.parameters.length ? `
+            <h4>Parameters</h4>
+            <table>
+                <thead><tr><th>Name</th><th>In</th><th>Type</th></tr></thead>
+                <tbody>${operation.parameters.map((parameter) => `
+                    <tr>
+                        <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="required">required</span>' : ''}</td>
+                        <td>${escapeHtml(parameter.in)}</td>
+                        <td>${describeDocSchema(parameter.schema)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>` : '';
+
+    const body = operation.requestBody ? `
+            <h4>Request body</h4>
+            ${renderDocFields(operation.requestBody.content['application/json'].schema)}` : '';
+
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+        const name = response.$ref ? response.$ref.split('/').pop() : null;
+        const [contentType, content] = Object.entries(response.content || {})[0] || [];
+        const schema = content && contentType === 'application/json' ? renderDocFields(content.schema) : '';
+        return `<li><strong>${escapeHtml(status)}</strong> ${escapeHtml(name ? `${name} (error envelope)` : response.description)}${contentType && contentType !== 'application/json' ? ` <code>${escapeHtml(contentType)}</code>` : ''}${schema}</li>`;
+    }).join('');
+
+    return `
+        <section class="operation${operation.deprecated ? ' deprecated' : ''}">
+            <h3>
+                <span class="method method-${escapeHtml(method)}">${escapeHtml(method.toUpperCase())}</span>
+                <code>${escapeHtml(pathName)}</code>
+                ${operation.security ? '<span class="badge">auth</span>' : ''}
+                ${operation.deprecated ? '<span class="badge badge-deprecated">deprecated</span>' : ''}
+            </h3>
+            <p>${escapeHtml(operation.summary || '')}</p>
+            ${operation.description ? `<p class="muted">${escapeHtml(operation.description)}</p>` : ''}
+            ${parameters}
+            ${body}
+            <h4>Responses</h4>
+            <ul>${responses}</ul>
+        </section>`;
 };
 
-// @desc    Update blog
-// @route   PUT /api/blogs/:id
-// @access  Public (would typically be Private in a real app)
-const updateBlog = async (req, res, next) => {
-    try {
-        let blog = await Blog.findById(req.params.id);
-        
-        if (!blog) {
-            return res.status(404).json({
-                success: false,
-                error: 'Blog not found'
-            });
-        }
-        
-        // Update the blog
-        blog = await Blog.findByIdAndUpdate(req.params.id, req.body, {
-            new: true,           // Return the updated document
-            runValidators: true  // Run model validators
-        });
-        
-        res.status(200).json({
-            success: true,
-            data: blog
-        });
-    } catch (error) {
-        // Handle invalid ObjectId format
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid blog ID format'
-            });
-        }
-        // Handle validation errors
-        if (error.name === 'ValidationError') {
-            const messages = Object.values(error.errors).map(val => val.message);
-            return res.status(400).json({
-                success: false,
-                error: messages
-            });
+const renderApiDocsPage = (document, nonce) => {
+    const operationsByTag = new Map(document.tags.map((tag) => [tag.name, []]));
+    for (const [pathName, methods] of Object.entries(document.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+            operationsByTag.get(operation.tags[0]).push(renderDocOperation(pathName, method, operation));
         }
-        next(error);
     }
+
+    const sections = [...operationsByTag].map(([tag, operations]) => `
+        <h2 id="tag-${escapeHtml(tag)}">${escapeHtml(tag)}</h2>
+        ${operations.join('')}`).join('');
+
+    const schemaSections = Object.entries(document.components.schemas).map(([name, schema]) => `
+        <section class="operation" id="schema-${escapeHtml(name)}">
+            <h3>${escapeHtml(name)}</h3>
+            ${renderDocFields(schema)}
+        </section>`).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>${escapeHtml(document.info.title)} Docs</title>
+            <style nonce="${nonce}">
+                body {
+                    font-family: Arial, sans-serif;
+                    max-width: 1000px;
+                    margin: 20px auto;
+                    padding: 20px;
+                    background-color: #f5f5f5;
+                    color: #333;
+                }
+                nav a {
+                    margin-right: 12px;
+                }
+                .operation {
+                    background-color: white;
+                    border-radius: 8px;
+                    padding: 10px 20px;
+                    margin: 15px 0;
+                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+                }
+                .operation.deprecated {
+                    opacity: 0.7;
+                }
+                .method {
+                    display: inline-block;
+                    min-width: 60px;
+                    padding: 3px 8px;
+                    border-radius: 4px;
+                    color: white;
+                    text-align: center;
+                    font-size: 14px;
+                }
+                .method-get { background-color: #2e7d32; }
+                .method-post { background-color: #4364F7; }
+                .method-put { background-color: #ef6c00; }
+                .method-delete { background-color: #c62828; }
+                .badge {
+                    font-size: 12px;
+                    padding: 2px 6px;
+                    border-radius: 4px;
+                    background-color: #e8eaf6;
+                }
+                .badge-deprecated {
+                    background-color: #ffebee;
+                    color: #c62828;
+                }
+                .required {
+                    color: #c62828;
+                    font-size: 12px;
+                }
+                .muted {
+                    color: #666;
+                    font-size: 13px;
+                }
+                table {
+                    border-collapse: collapse;
+                    width: 100%;
+                    margin: 8px 0;
+                }
+                th, td {
+                    text-align: left;
+                    vertical-align: top;
+                    padding: 6px;
+                    border-bottom: 1px solid #eee;
+                }
+            </style>
+        </head>
+        <body>
+            <h1>${escapeHtml(document.info.title)} <span class="muted">v${escapeHtml(document.info.version)}</span></h1>
+            <p>${escapeHtml(document.info.description)} Machine-readable spec: <a href="${API_V1_PREFIX}/openapi.json">${API_V1_PREFIX}/openapi.json</a>.</p>
+            <nav>${document.tags.map((tag) => `<a href="#tag-${escapeHtml(tag.name)}">${escapeHtml(tag.name)}</a>`).join('')}<a href="#schemas">Schemas</a></nav>
+            ${sections}
+            <h2 id="schemas">Schemas</h2>
+            ${schemaSections}
+        </body>
+        </html>
+    `;
 };
 
-// @desc    Delete blog
-// @route   DELETE /api/blogs/:id
-// @access  Public (would typically be Private in a real app)
-const deleteBlog = async (req, res, next) => {
-    try {
-        const blog = await Blog.findById(req.params.id);
-        
-        if (!blog) {
-            return res.status(404).json({
-                success: false,
-                error: 'Blog not found'
-            });
-        }
-        
-        await blog.deleteOne();
-        
-        res.status(200).json({
-            success: true,
-            data: {}
-        });
-    } catch (error) {
-        // Handle invalid ObjectId format
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid blog ID format'
-            });
-        }
-        next(error);
-    }
+// @desc    OpenAPI document for every route
+// @route   GET /api/v1/openapi.json
+// @access  Public
+const getOpenApiSpec = (req, res) => {
+    res.status(200).json(getOpenApiDocumentCached());
+};
+
+// @desc    HTML API reference rendered from the OpenAPI document
+// @route   GET /api/v1/docs
+// @access  Public
+const getApiDocs = (req, res) => {
+    const nonce = setHtmlPageSecurity(res);
+    res.send(renderApiDocsPage(getOpenApiDocumentCached(), nonce));
 };
 
+// ==================== ROUTES ====================
+
+// Database-backed routes answer 503 while MongoDB is down
+app.use(requireDatabase);
+
 /**
- * Contact Controller
- * Handles contact form submissions and email sending
+ * API Route Table
+ * Every documented endpoint is declared once here. Entries are mounted under
+ * /api/v1 at their RESTful path (or at `path` itself for `root` routes such as
+ * feeds), and at `legacyPath` with deprecation headers. The OpenAPI document
+ * is generated from the same table.
+ * - roles: omitted for public routes, [] for any signed-in user, or the allowed roles
+ * - schema: key in `schemas`, used for validation and parameter docs
+ * - middleware: extra handlers run before validation (e.g. rate limiters)
+ * - response / data / status / contentType: how the success response is documented
+ * Order matters: literal segments must come before parameters they would match.
  */
+const API_V1_PREFIX = '/api/v1';
 
-// @desc    Submit contact form and send emails
-// @route   POST /api/contact
-// @access  Public
-const submitContactForm = async (req, res, next) => {
-    try {
-        // Extract form data
-        const { name, email, phone, message } = req.body;
+const apiRoutes = [
+    // Blogs
+    { method: 'get', path: '/blogs', legacyPath: '/api/blogs', middleware: [optionalAuth], schema: 'getBlogs', handler: getBlogs, tag: 'Blogs', summary: 'List blogs with search, filters, sorting and pagination', response: 'paginated', data: 'Blog' },
+    { method: 'post', path: '/blogs', legacyPath: '/api/blog/new', roles: ['admin', 'editor'], schema: 'createBlog', handler: createBlog, tag: 'Blogs', summary: 'Create a blog (editors can only create unscheduled drafts)', status: 201, data: 'Blog' },
+    { method: 'get', path: '/blogs/export', roles: ['admin', 'editor'], schema: 'exportBlogs', handler: exportBlogs, tag: 'Blogs', summary: 'Stream blogs as JSON, NDJSON or CSV (filter by status or category)', contentType: 'application/json', responseDescription: 'JSON array of blogs (NDJSON for format=ndjson, CSV for format=csv)' },
+    { method: 'post', path: '/blogs/import', roles: ['admin'], middleware: [blogImportBodyParser], schema: 'importBlogs', handler: importBlogs, tag: 'Blogs', summary: 'Import blogs from JSON, NDJSON or CSV with per-row validation', description: 'Send the file as the request body (application/json, application/x-ndjson or text/csv) in the format produced by the export. onConflict=id updates the blog with the same _id, onConflict=title the blog with the same title; other rows create new blogs. dryRun=true validates every row without saving.', response: 'body', data: 'BlogImportResult' },
+    { method: 'get', path: '/blogs/trash', roles: ['admin'], schema: 'getBlogTrash', handler: getBlogTrash, tag: 'Blogs', summary: 'List trashed blogs with the date each will be purged', response: 'paginated', data: 'Blog' },
+    { method: 'post', path: '/blogs/trash/:id/restore', roles: ['admin'], schema: 'restoreBlog', handler: restoreBlog, tag: 'Blogs', summary: 'Restore a blog from the trash', data: 'Blog' },
+    { method: 'delete', path: '/blogs/trash/:id', roles: ['admin'], schema: 'purgeBlog', handler: purgeBlog, tag: 'Blogs', summary: 'Permanently delete a trashed blog and its revisions' },
+    { method: 'get', path: '/blogs/slug/:slug', middleware: [optionalAuth], schema: 'getBlogBySlug', handler: getBlogBySlug, tag: 'Blogs', summary: 'Get a blog by slug (old slugs answer 301 to the current one)', data: 'Blog' },
+    { method: 'get', path: '/blogs/:id', legacyPath: '/api/blog/:id', middleware: [optionalAuth], schema: 'getBlog', handler: getBlog, tag: 'Blogs', summary: 'Get a blog by id', data: 'Blog' },
+    { method: 'put', path: '/blogs/:id', legacyPath: '/api/blog/:id', roles: ['admin', 'editor'], schema: 'updateBlog', handler: updateBlog, tag: 'Blogs', summary: 'Update a blog (records a revision)', data: 'Blog' },
+    { method: 'delete', path: '/blogs/:id', legacyPath: '/api/blog/:id', roles: ['admin'], schema: 'deleteBlog', handler: deleteBlog, tag: 'Blogs', summary: 'Move a blog to the trash' },
+    { method: 'get', path: '/blogs/:id/related', middleware: [optionalAuth], schema: 'getRelatedBlogs', handler: getRelatedBlogs, tag: 'Blogs', summary: 'Related published blogs by shared tags and category', response: 'list', data: 'Blog' },
 
-        // Validate required fields
-        if (!name || !email || !message) {
-            return res.status(400).json({
-                success: false,
-                error: 'Please provide name, email and message'
-            });
-        }
+    // Blog revisions
+    { method: 'get', path: '/blogs/:id/revisions', roles: ['admin', 'editor'], schema: 'getBlogRevisions', handler: getBlogRevisions, tag: 'Blog Revisions', summary: 'List revisions of a blog', response: 'paginated', data: 'BlogRevision' },
+    { method: 'get', path: '/blogs/:id/revisions/diff', roles: ['admin', 'editor'], schema: 'diffBlogRevisions', handler: diffBlogRevisions, tag: 'Blog Revisions', summary: 'Line diff between two revisions (or the current version)' },
+    { method: 'get', path: '/blogs/:id/revisions/:revisionId', roles: ['admin', 'editor'], schema: 'getBlogRevision', handler: getBlogRevision, tag: 'Blog Revisions', summary: 'Get one revision', data: 'BlogRevision' },
+    { method: 'post', path: '/blogs/:id/revisions/:revisionId/restore', roles: ['admin', 'editor'], schema: 'restoreBlogRevision', handler: restoreBlogRevision, tag: 'Blog Revisions', summary: 'Restore a blog to a revision', data: 'Blog' },
 
-        // Create email transporter using Gmail SMTP
-        const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            host: 'smtp.gmail.com',
-            port: 465,
-            secure: true, // true for 465, false for other ports
-            auth: {
-                user: process.env.EMAIL_USER, // Gmail address from .env
-                pass: process.env.EMAIL_PASS  // App password from .env
-            }
-        });
+    // Analytics
+    { method: 'get', path: '/analytics/blogs', roles: ['admin', 'editor'], schema: 'getBlogAnalytics', handler: getBlogAnalytics, tag: 'Analytics', summary: 'Most viewed blogs and total views per day', data: 'BlogAnalytics' },
+    { method: 'get', path: '/analytics/blogs/:id', roles: ['admin', 'editor'], schema: 'getBlogViewAnalytics', handler: getBlogViewAnalytics, tag: 'Analytics', summary: 'Views per day of one blog', data: 'BlogViewAnalytics' },
+    { method: 'get', path: '/analytics/categories', roles: ['admin', 'editor'], schema: 'getCategoryAnalytics', handler: getCategoryAnalytics, tag: 'Analytics', summary: 'Views per day of each category', data: 'CategoryAnalytics' },
 
-        // Create HTML template for user confirmation email
-        const userEmailHtml = `
-        <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 0; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
-<!-- Header with gradient background -->
-<div style="background: linear-gradient(to right, #0052D4, #4364F7, #6FB1FC); padding: 30px 20px; text-align: center;">
-    <h1 style="color: white; margin: 0; font-weight: 700; font-size: 30px;">ImpexInfo</h1>
-    <h3 style="color: white; margin: 0; font-weight: 500; font-size: 24px;">Thank You for Contacting Us!</h3>
-</div>
+    // Taxonomy
+    { method: 'get', path: '/tags', schema: 'getTags', handler: getTags, tag: 'Taxonomy', summary: 'Tags with post counts', response: 'list' },
+    { method: 'get', path: '/categories', handler: getCategories, tag: 'Taxonomy', summary: 'Categories with post counts', response: 'list', data: 'Category' },
+    { method: 'post', path: '/categories', roles: ['admin'], schema: 'createCategory', handler: createCategory, tag: 'Taxonomy', summary: 'Create a category', status: 201, data: 'Category' },
+    { method: 'get', path: '/categories/:id', schema: 'getCategory', handler: getCategory, tag: 'Taxonomy', summary: 'Get a category by id, slug or name', data: 'Category' },
+    { method: 'put', path: '/categories/:id', roles: ['admin'], schema: 'updateCategory', handler: updateCategory, tag: 'Taxonomy', summary: 'Update a category', data: 'Category' },
+    { method: 'delete', path: '/categories/:id', roles: ['admin'], schema: 'deleteCategory', handler: deleteCategory, tag: 'Taxonomy', summary: 'Delete a category (use reassignTo when it still has posts)' },
 
-<!-- Main content area -->
-<div style="background-color: #ffffff; padding: 30px 25px;">
-    <p style="color: #333; font-size: 16px; line-height: 1.5; margin-top: 0;">Dear <strong>${name}</strong>,</p>
-    
-    <p style="color: #333; font-size: 16px; line-height: 1.5;">We have received your message and appreciate your interest in Impex Info. Our team will review your inquiry and get back to you within 24 hours.</p>
-    
-    <!-- Message details section -->
-    <div style="background-color: #f8f9fa; border-left: 4px solid #4364F7; padding: 20px; border-radius: 4px; margin: 25px 0;">
-        <h3 style="color: #0052D4; margin-top: 0; font-size: 18px;">Your Message Details:</h3>
-        <table style="width: 100%; border-collapse: collapse; font-size: 15px;">
-            <tr>
-                <td style="padding: 8px 0; color: #555; font-weight: bold; width: 80px;">Name:</td>
-                <td style="padding: 8px 0; color: #333;">${name}</td>
-            </tr>
-            <tr>
-                <td style="padding: 8px 0; color: #555; font-weight: bold;">Email:</td>
-                <td style="padding: 8px 0; color: #333;">${email}</td>
-            </tr>
-            <tr>
-                <td style="padding: 8px 0; color: #555; font-weight: bold;">Phone:</td>
-                <td style="padding: 8px 0; color: #333;">${phone || 'Not provided'}</td>
-            </tr>
-            <tr>
-                <td style="padding: 8px 0; color: #555; font-weight: bold; vertical-align: top;">Message:</td>
-                <td style="padding: 8px 0; color: #333;">${message}</td>
-            </tr>
-        </table>
-    </div>
-    
-    <p style="color: #333; font-size: 16px; line-height: 1.5;">While you wait for our response, feel free to explore our global trade intelligence platform that provides import-export data from 209 countries.</p>
-    
-    <div style="text-align: center;">
-        <a href="https://impexinfo.com/plans" style="display: inline-block; background: linear-gradient(to right, #0052D4, #4364F7); color: white; text-decoration: none; padding: 12px 25px; border-radius: 4px; font-weight: 600; font-size: 16px;">Explore Our Plans</a>
-    </div>
-    
-    <p style="color: #333; margin-top: 10px; line-height: 1.5;">Best regards,<br><strong>The Impex Info Team</strong></p>
-</div>
+    // Auth
+    { method: 'post', path: '/auth/login', middleware: [loginIpLimiter, loginEmailLimiter], rateLimited: true, schema: 'login', handler: login, tag: 'Auth', summary: 'Log in and receive a JWT', response: 'token' },
+    { method: 'get', path: '/auth/me', roles: [], handler: getMe, tag: 'Auth', summary: 'Current user', data: 'User' },
+    { method: 'post', path: '/users', roles: ['admin'], schema: 'createUser', handler: createUser, tag: 'Auth', summary: 'Create an admin or editor account', status: 201, data: 'AuthUser' },
 
-<!-- Footer -->
-<div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e9ecef;">
-    <p style="margin: 0 0 15px 0; color: #6c757d; font-size: 14px;">This is an automated message. Please do not reply to this email.</p>
-    
-    <!-- Social icons -->
-    <div style="margin-bottom: 15px;">
-        <a href="https://facebook.com/impexinfo" style="display: inline-block; margin: 0 8px; color:"Black"> Facebook</a>
-        <a href="https://linkedin.com/impexinfo" style="display: inline-block; margin: 0 8px; color:"Black"> Linkedin</a>
-        <a href="https://twitter.com/impexinfo" style="display: inline-block; margin: 0 8px; color:"Black"> Twitter</a>
-    </div>
-    
-    <p style="margin: 0; color: #6c757d; font-size: 13px;">&copy; 2024 Impex Info by <span style="color: Black; font-size: 15px;">Aashita TechnoSoft</span>. All rights reserved.</p>
-</div>
-</div>
-    `;
+    // Contact & inquiries
+    { method: 'post', path: '/contact', legacyPath: '/api/contact', middleware: [contactIpLimiter, contactEmailLimiter], rateLimited: true, schema: 'submitContactForm', handler: submitContactForm, tag: 'Contact', summary: 'Submit the contact form', response: 'message' },
+    { method: 'get', path: '/inquiries', roles: ['admin', 'editor'], schema: 'getInquiries', handler: getInquiries, tag: 'Contact', summary: 'List inquiries', response: 'paginated', data: 'Inquiry' },
+    { method: 'get', path: '/inquiries/:id', roles: ['admin', 'editor'], schema: 'getInquiry', handler: getInquiry, tag: 'Contact', summary: 'Get an inquiry', data: 'Inquiry' },
+    { method: 'put', path: '/inquiries/:id', roles: ['admin', 'editor'], schema: 'updateInquiry', handler: updateInquiry, tag: 'Contact', summary: 'Change status, assignee or add a note', data: 'Inquiry' },
+    { method: 'post', path: '/inquiries/:id/release', roles: ['admin', 'editor'], schema: 'releaseInquiry', handler: releaseInquiry, tag: 'Contact', summary: 'Release a held inquiry and send its emails', data: 'Inquiry' },
 
-        // Create HTML template for admin notification email
-        const adminEmailHtml = `
-           <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 650px; margin: 0 auto; padding: 0; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 15px rgba(0,0,0,0.1);">
-    <!-- Admin Header -->
-    <div style="background: linear-gradient(to right, #0052D4, #4364F7, #6FB1FC); padding: 20px 25px;">
-        <table width="100%" cellpadding="0" cellspacing="0" border="0">
-            <tr>
-                <td>
-                    <h2 style="color: white; margin: 0; font-weight: 600; font-size: 22px;">New Contact Form Submission</h2>
-                </td>
-                <td align="right">
-                    <span style="color: white; background-color: rgba(255,255,255,0.2); padding: 5px 10px; border-radius: 20px; font-size: 12px; font-weight: 500;">ADMIN NOTIFICATION</span>
-                </td>
-            </tr>
-        </table>
-    </div>
-    
-    <!-- Content Area -->
-    <div style="background-color: #ffffff; padding: 25px;">
-        <!-- Alert Badge -->
-        <div style="background-color: #e8f4fd; border-left: 4px solid #4364F7; padding: 12px 15px; margin-bottom: 25px; border-radius: 4px;">
-            <p style="margin: 0; color: #0052D4; font-size: 14px;">
-                <strong>Action Required:</strong> New customer inquiry received. Please review and respond promptly.
-            </p>
-        </div>
-        
-        <!-- Contact Information Box -->
-        <div style="background-color: #f8f9fa; border: 1px solid #e9ecef; border-radius: 6px; overflow: hidden; margin-bottom: 20px;">
-            <div style="background-color: #f1f3f5; padding: 12px 20px; border-bottom: 1px solid #e9ecef;">
-                <h3 style="color: #0052D4; margin: 0; font-size: 16px; font-weight: 600;">Contact Details</h3>
-            </div>
-            
-            <div style="padding: 20px;">
-                <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
-                    <tr>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #495057; font-weight: 600; width: 120px;">Name:</td>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #212529;">${name}</td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #495057; font-weight: 600;">Email:</td>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #212529;">
-                            <a href="mailto:${email}" style="color: #4364F7; text-decoration: none;">${email}</a>
-                        </td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #495057; font-weight: 600;">Phone:</td>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #212529;">
-                            ${phone || '<span style="color: #6c757d; font-style: italic;">Not provided</span>'}
-                        </td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #495057; font-weight: 600; vertical-align: top;">Message:</td>
-                        <td style="padding: 10px 5px; border-bottom: 1px solid #e9ecef; color: #212529;">
-                            <div style="line-height: 1.5;">${message}</div>
-                        </td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 10px 5px; color: #495057; font-weight: 600;">Submitted on:</td>
-                        <td style="padding: 10px 5px; color: #212529;">${new Date().toLocaleString()}</td>
-                    </tr>
-                </table>
-            </div>
-        </div>
-        
-        <!-- Action Buttons -->
-        <div style="text-align: center; margin: 25px 0; display: flex; justify-content: center; gap: 15px;">
-            <a href="mailto:${email}" style="display: inline-block; background-color: #4364F7; color: white; text-decoration: none; padding: 10px 20px; border-radius: 4px; font-weight: 500; font-size: 14px;">Reply to Customer</a>
-        </div>
-        
-        <div style="background-color: #fff8e6; border-left: 4px solid #ffc107; padding: 12px 15px; border-radius: 4px;">
-            <p style="margin: 0; color: #856404; font-size: 14px;">
-                <strong>Response Time Policy:</strong> Please respond to all inquiries within 24 business hours.
-            </p>
-        </div>
-    </div>
-    
-    <!-- Footer -->
-    <div style="background-color: #f8f9fa; padding: 15px; text-align: center; border-top: 1px solid #e9ecef;">
-        <p style="margin: 0; color: #6c757d; font-size: 13px;">This is an automated admin notification from the Impex Info contact system.</p>
-    </div>
-</div>
-        `;
+    // Newsletter
+    { method: 'get', path: '/subscribe', schema: 'getSubscribePage', handler: getSubscribePage, tag: 'Newsletter', summary: 'Signup form page', contentType: 'text/html' },
+    { method: 'post', path: '/subscribe', middleware: [subscribeIpLimiter], rateLimited: true, schema: 'subscribe', handler: subscribe, tag: 'Newsletter', summary: 'Subscribe and receive a confirmation email (JSON or form post)', response: 'message' },
+    { method: 'get', path: '/subscribe/confirm', schema: 'newsletterToken', handler: getConfirmSubscriptionPage, tag: 'Newsletter', summary: 'Subscription confirmation page (the emailed link)', contentType: 'text/html' },
+    { method: 'post', path: '/subscribe/confirm', schema: 'newsletterToken', handler: confirmSubscription, tag: 'Newsletter', summary: 'Confirm a subscription', response: 'message' },
+    { method: 'get', path: '/unsubscribe', schema: 'newsletterToken', handler: getUnsubscribePage, tag: 'Newsletter', summary: 'Unsubscribe confirmation page', contentType: 'text/html' },
+    { method: 'post', path: '/unsubscribe', schema: 'newsletterToken', handler: unsubscribe, tag: 'Newsletter', summary: 'One-click unsubscribe (List-Unsubscribe-Post target)', response: 'message' },
+    { method: 'get', path: '/subscribers', roles: ['admin'], schema: 'getSubscribers', handler: getSubscribers, tag: 'Newsletter', summary: 'List subscribers', response: 'paginated', data: 'Subscriber' },
+    { method: 'post', path: '/newsletter/digest', roles: ['admin'], schema: 'sendNewsletterDigest', handler: sendNewsletterDigest, tag: 'Newsletter', summary: 'Email confirmed subscribers the blogs published since the last digest (dryRun previews)', status: 201, data: 'NewsletterDigest' },
 
-        // Send confirmation email to user
-        const userMailOptions = {
-            from: {
-                name: 'ImpexInfo Support',
-                address: process.env.EMAIL_USER
-            },
-            to: email,
-            replyTo: process.env.EMAIL_USER, // Add reply-to header
-            subject: 'Thank you for contacting ImpexInfo',
-            html: userEmailHtml,
-            text: `Dear ${name}, Thank you for contacting Impex Info. We have received your message and will get back to you shortly.`, // Plain text alternative
-            headers: {
-                'X-Priority': '1', // Set high priority
-                'Importance': 'high',
-                'List-Unsubscribe': `<mailto:${process.env.EMAIL_USER}?subject=unsubscribe>`,
-                'Precedence': 'bulk'
-            }
-        };
+    // Webhooks
+    { method: 'get', path: '/webhooks', roles: ['admin'], handler: getWebhooks, tag: 'Webhooks', summary: 'List webhooks', response: 'list', data: 'Webhook' },
+    { method: 'post', path: '/webhooks', roles: ['admin'], schema: 'createWebhook', handler: createWebhook, tag: 'Webhooks', summary: 'Create a webhook (the only response that includes the secret)', status: 201, data: 'Webhook' },
+    { method: 'get', path: '/webhooks/:id', roles: ['admin'], schema: 'getWebhook', handler: getWebhook, tag: 'Webhooks', summary: 'Get a webhook', data: 'Webhook' },
+    { method: 'put', path: '/webhooks/:id', roles: ['admin'], schema: 'updateWebhook', handler: updateWebhook, tag: 'Webhooks', summary: 'Update a webhook or rotate its secret', data: 'Webhook' },
+    { method: 'delete', path: '/webhooks/:id', roles: ['admin'], schema: 'deleteWebhook', handler: deleteWebhook, tag: 'Webhooks', summary: 'Delete a webhook and its deliveries' },
+    { method: 'get', path: '/webhooks/:id/deliveries', roles: ['admin'], schema: 'getWebhookDeliveries', handler: getWebhookDeliveries, tag: 'Webhooks', summary: 'Deliveries with their per-attempt log', response: 'paginated', data: 'WebhookDelivery' },
+    { method: 'post', path: '/webhooks/:id/deliveries/:deliveryId/redeliver', roles: ['admin'], schema: 'redeliverWebhook', handler: redeliverWebhook, tag: 'Webhooks', summary: 'Send a dead-lettered or delivered event again', data: 'WebhookDelivery' },
 
-        // Send notification email to admin
-        const adminMailOptions = {
-            from: {
-                name: 'Contact Form',
-                address: process.env.EMAIL_USER
-            },
-            to: process.env.ADMIN_EMAIL, // Admin email from .env
-            subject: `New Contact Form Submission from ${name}`,
-            html: adminEmailHtml,
-            text: `New contact from ${name} (${email}): ${message}` // Plain text alternative
-        };
+    // Email
+    { method: 'get', path: '/outbox', roles: ['admin'], schema: 'getOutboxEmails', handler: getOutboxEmails, tag: 'Email', summary: 'List outbox emails', response: 'paginated', data: 'OutboxEmail' },
+    { method: 'post', path: '/outbox/:id/requeue', roles: ['admin'], schema: 'requeueOutboxEmail', handler: requeueOutboxEmail, tag: 'Email', summary: 'Requeue a dead-lettered email', data: 'OutboxEmail' },
+    { method: 'get', path: '/email-templates', roles: ['admin', 'editor'], handler: getEmailTemplates, tag: 'Email', summary: 'List email templates and their locales', response: 'list' },
+    { method: 'get', path: '/email-templates/:name/preview', roles: ['admin', 'editor'], schema: 'previewEmailTemplate', handler: previewEmailTemplate, tag: 'Email', summary: 'Render a template with sample data', contentType: 'text/html', responseDescription: 'Rendered HTML (text/plain for format=text, JSON for format=json)' },
+    { method: 'get', path: '/mail/captured', roles: ['admin'], handler: getCapturedMail, tag: 'Email', summary: 'Messages held by the capture transport', response: 'list' },
+    { method: 'delete', path: '/mail/captured', roles: ['admin'], handler: clearCapturedMail, tag: 'Email', summary: 'Clear captured messages' },
 
-        // Send both emails
-        try {
-            await transporter.sendMail(userMailOptions);
-            console.log('User confirmation email sent successfully');
-        } catch (userEmailError) {
-            console.error('Error sending user confirmation email:', userEmailError);
-            // Continue execution to at least try sending the admin email
-        }
-        
-        try {
-            await transporter.sendMail(adminMailOptions);
-            console.log('Admin notification email sent successfully');
-        } catch (adminEmailError) {
-            console.error('Error sending admin notification email:', adminEmailError);
-            throw adminEmailError; // Re-throw to trigger the outer catch block
-        }
+    // Operations
+    { method: 'get', path: '/status', legacyPath: '/api/status', handler: getStatus, tag: 'Operations', summary: 'Database, email server and process status', response: 'body', data: 'Status' },
+    { method: 'get', path: '/health/live', handler: getLiveness, tag: 'Operations', summary: 'Liveness probe', response: 'body', data: 'Health' },
+    { method: 'get', path: '/health/ready', handler: getReadiness, tag: 'Operations', summary: 'Readiness probe (503 while the database is down or the server is draining)', response: 'body', data: 'Health' },
+    { method: 'get', path: '/metrics', root: true, handler: getMetrics, tag: 'Operations', summary: 'Prometheus metrics (bearer METRICS_TOKEN, or open with METRICS_PUBLIC=true; 404 otherwise)', contentType: 'text/plain' },
+    { method: 'get', path: '/openapi.json', handler: getOpenApiSpec, tag: 'Operations', summary: 'This OpenAPI document', response: 'body' },
+    { method: 'get', path: '/docs', handler: getApiDocs, tag: 'Operations', summary: 'HTML API reference', contentType: 'text/html' },
 
-        // Return success response
-        res.status(200).json({
-            success: true,
-            message: 'Your message has been sent successfully!'
-        });
+    // Feeds
+    { method: 'get', path: '/feed.rss', root: true, handler: getRssFeed, tag: 'Feeds', summary: 'RSS feed of published posts', contentType: 'application/rss+xml' },
+    { method: 'get', path: '/feed.atom', root: true, handler: getAtomFeed, tag: 'Feeds', summary: 'Atom feed of published posts', contentType: 'application/atom+xml' },
+    { method: 'get', path: '/feed/:category.rss', root: true, id: 'getCategoryRssFeed', schema: 'getFeed', handler: getRssFeed, tag: 'Feeds', summary: 'RSS feed for one category', contentType: 'application/rss+xml' },
+    { method: 'get', path: '/feed/:category.atom', root: true, id: 'getCategoryAtomFeed', schema: 'getFeed', handler: getAtomFeed, tag: 'Feeds', summary: 'Atom feed for one category', contentType: 'application/atom+xml' },
+    { method: 'get', path: '/sitemap.xml', root: true, handler: getSitemap, tag: 'Feeds', summary: 'Sitemap of published posts and categories', contentType: 'application/xml' }
+];
 
-    } catch (error) {
-        console.error('Email sending error:', error);
-        next(error);
+// Auth, extra middleware and validation in front of the controller
+const buildRouteHandlers = (route) => [
+    (req, res, next) => {
+        req.routePattern = `${req.baseUrl}${req.route.path}`;
+        next();
+    },
+    ...(route.roles ? [protect] : []),
+    ...(route.roles && route.roles.length ? [authorize(...route.roles)] : []),
+    ...(route.middleware || []),
+    ...(route.schema ? [validate(schemas[route.schema])] : []),
+    route.handler
+];
+
+// Optional HTTP date after which the legacy paths go away, announced in the Sunset header
+const LEGACY_API_SUNSET = process.env.LEGACY_API_SUNSET ? new Date(process.env.LEGACY_API_SUNSET) : null;
+
+// Legacy paths answer as before, plus headers pointing at the /api/v1 successor
+const deprecatedRoute = (route) => (req, res, next) => {
+    const successor = API_V1_PREFIX + route.path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(req.params[name]));
+
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+    if (LEGACY_API_SUNSET && !isNaN(LEGACY_API_SUNSET)) {
+        res.set('Sunset', LEGACY_API_SUNSET.toUTCString());
     }
+    next();
 };
 
-// ==================== ROUTES ====================
+const apiV1Router = express.Router();
 
-// Blog API Routes
-app.get("/api/blogs", getBlogs);
-app.get("/api/blog/:id", getBlog);
-app.post("/api/blog/new", createBlog);
-app.put("/api/blog/:id", updateBlog);
-app.delete("/api/blog/:id", deleteBlog);
+for (const route of apiRoutes) {
+    const handlers = buildRouteHandlers(route);
+
+    if (route.root) {
+        app[route.method](route.path, ...handlers);
+    } else {
+        apiV1Router[route.method](route.path, ...handlers);
+    }
+    if (route.legacyPath) {
+        app[route.method](route.legacyPath, deprecatedRoute(route), ...handlers);
+    }
+}
 
-// Contact API Route
-app.post("/api/contact", submitContactForm);
+app.use(API_V1_PREFIX, apiV1Router);
 
 // Test API endpoint
 app.get("/test", (req, res) => {
   res.json({ message: "Test API is working!" });
 });
 
-// Add new status check endpoint
-app.get("/api/status", (req, res) => {
-    res.json({
-        success: true,
-        status: {
-            database: {
-                connected: dbStatus,
-                message: dbStatus ? "MongoDB is connected" : "MongoDB is disconnected"
-            },
-            emailServer: {
-                ready: emailServerStatus,
-                message: emailServerStatus ? "Email server is ready" : "Email server is not ready"
-            },
-            server: {
-                status: "running",
-                port: PORT
-            }
-        }
-    });
-});
-
 // Root route (status page)
 app.get("/", (req, res) => {
+    const nonce = setHtmlPageSecurity(res);
+
     res.send(`
         <!DOCTYPE html>
         <html>
         <head>
             <title>ImpexInfo API Server Status</title>
-            <style>
+            <style nonce="${nonce}">
                 body {
                     font-family: Arial, sans-serif;
                     max-width: 800px;
@@ -671,6 +7212,9 @@ app.get("/", (req, res) => {
                     text-align: center;
                     margin-bottom: 30px;
                 }
+                .refresh-container {
+                    text-align: center;
+                }
                 .refresh-button {
                     background-color: #4364F7;
                     color: white;
@@ -700,25 +7244,35 @@ app.get("/", (req, res) => {
                     <span>API Server:</span>
                     <span class="status-badge">✅ Running on port ${PORT}</span>
                 </div>
-                <div style="text-align: center;">
-                    <button class="refresh-button" onclick="window.location.reload()">
+                <div class="refresh-container">
+                    <button class="refresh-button">
                         Refresh Status
                     </button>
                 </div>
             </div>
+            <script nonce="${nonce}">
+                document.querySelector('.refresh-button').addEventListener('click', () => window.location.reload());
+            </script>
         </body>
         </html>
     `);
 });
 
+// Unknown API paths get a JSON 404 instead of the HTML page
+app.use('/api', (req, res, next) => {
+    next(new ErrorResponse(`Route ${req.method} ${req.originalUrl} not found`, 404, 'ROUTE_NOT_FOUND'));
+});
+
 // Add catch-all route for undefined paths
 app.use((req, res) => {
+    const nonce = setHtmlPageSecurity(res);
+
     res.status(404).send(`
         <!DOCTYPE html>
         <html>
         <head>
             <title>404 - Page Not Found</title>
-            <style>
+            <style nonce="${nonce}">
                 body {
                     font-family: Arial, sans-serif;
                     max-width: 800px;
@@ -765,7 +7319,7 @@ app.use((req, res) => {
                     The page you're looking for doesn't exist. You might have mistyped the address or the page may have moved.
                 </p>
                 <p class="error-message">
-                    Current URL: ${req.url}<br>
+                    Current URL: ${escapeHtml(req.url)}<br>
                     Try accessing the status page or API endpoints instead.
                 </p>
                 <a href="/" class="home-button">Go to Status Page</a>
@@ -778,47 +7332,115 @@ app.use((req, res) => {
 // Error handler middleware
 app.use(errorHandler);
 
+// Without these, login, newsletter links and view tracking fail on every request
+const REQUIRED_SECRETS = ['JWT_SECRET', 'NEWSLETTER_SECRET', 'VIEW_HASH_SECRET'];
+
 // Modify startServer to handle ports better
 const startServer = async () => {
-    console.log('🚀 Starting ImpexInfo API Server...');
+    logger.info('Starting ImpexInfo API Server');
+
+    const missingSecrets = REQUIRED_SECRETS.filter((name) => !process.env[name]);
+    if (missingSecrets.length) {
+        logger.error('Missing required configuration, refusing to start', { missing: missingSecrets });
+        process.exit(1);
+    }
     
     // Verify email server first
-    console.log('📧 Verifying email server configuration...');
+    logger.info('Verifying email server configuration');
     await verifyEmailServer();
+    healthChecks.emailCheckedAt = new Date();
     
     // Then connect to database
-    console.log('🔄 Connecting to MongoDB...');
+    logger.info('Connecting to MongoDB');
     const isConnected = await ConnectDB();
 
     if (isConnected) {
-        // Try available ports in sequence
-        const tryPort = (port) => {
-            app.listen(port, () => {
-                console.log(`✅ Server is running on port ${port}`);
-                console.log(`📊 Status dashboard available at http://localhost:${port}`);
-                console.log(`🔍 API status available at http://localhost:${port}/api/status`);
-            }).on("error", (err) => {
-                if (err.code === "EADDRINUSE") {
-                    console.error(`❌ Port ${port} is already in use.`);
-                    // Try next port if less than 65535
-                    if (port < 65535) {
-                        tryPort(port + 1);
-                    } else {
-                        console.error("❌ No available ports found");
-                        process.exit(1);
-                    }
-                } else {
-                    console.error("❌ Server error:", err);
-                    process.exit(1);
-                }
-            });
-        };
-
-        // Start with initial port
-        tryPort(parseInt(PORT) || 8000);
+        await runDatabaseStartupTasks();
+    } else if (START_DEGRADED) {
+        // Serve status and health now; database routes answer 503 until the first connection
+        logger.warn('Starting in degraded mode until the database connection is established');
+        mongoose.connection.once('connected', () => {
+            runDatabaseStartupTasks().catch((error) => logger.error('Database startup tasks failed', { error }));
+        });
     } else {
-        console.log("⏳ Server start delayed until database connection is established.");
+        logger.warn('Server start delayed until database connection is established');
+        await new Promise((resolve) => mongoose.connection.once('connected', resolve));
+        await runDatabaseStartupTasks();
     }
+
+    if (shuttingDown) return;
+
+    // Bind the configured port; with PORT_FALLBACK=true, try the next ones if it is taken
+    const tryPort = (port) => {
+        server = app.listen(port, () => {
+            logger.info('Server is running', {
+                port,
+                dashboard: `http://localhost:${port}`,
+                status: `http://localhost:${port}/api/v1/status`,
+                docs: `http://localhost:${port}/api/v1/docs`
+            });
+            startHealthChecks();
+        }).on("error", (err) => {
+            if (err.code === "EADDRINUSE" && PORT_FALLBACK && port < 65535) {
+                logger.warn('Port is already in use, trying the next one', { port });
+                tryPort(port + 1);
+            } else if (err.code === "EADDRINUSE") {
+                logger.error('Port is already in use (set PORT_FALLBACK=true to try the next free port)', { port });
+                process.exit(1);
+            } else {
+                logger.error('Server error', { error: err });
+                process.exit(1);
+            }
+        });
+    };
+
+    // Start with initial port
+    tryPort(parseInt(PORT) || 8000);
 };
 
-startServer();
+// Start when run directly; tests require the module for its helpers
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    app,
+    authorize,
+    Blog,
+    checkWebhookTarget,
+    diffLines,
+    getAtomFeed,
+    getCorsPolicy,
+    getEffectiveStatusFilter,
+    getMetrics,
+    getOutboxBackoff,
+    getOutboxClaimFilter,
+    getRelatedBlogs,
+    getRssFeed,
+    getVisitorHash,
+    importBlogRow,
+    isBlogLive,
+    logger,
+    loginEmailLimiter,
+    loginIpLimiter,
+    NewsletterDigest,
+    optionalAuth,
+    OutboxEmail,
+    parseBlogImport,
+    parseCsv,
+    previewEmailTemplate,
+    protect,
+    recordOutboxFailure,
+    registerSpamScorer,
+    renderBlogContent,
+    renderEmailTemplate,
+    schemas,
+    scoreSubmission,
+    sendNewsletterDigest,
+    sendWebhookRequest,
+    signNewsletterToken,
+    signWebhookPayload,
+    updateBlog,
+    User,
+    verifyNewsletterToken
+};
@@ -0,0 +1,133 @@
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'test-secret';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { authorize, loginEmailLimiter, loginIpLimiter, optionalAuth, protect, User } = require('../server');
+
+// Run a middleware and resolve with the error it passed to next(), if any
+const run = (middleware, req) => new Promise((resolve, reject) => {
+    Promise.resolve(middleware(req, {}, resolve)).catch(reject);
+});
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+describe('protect', () => {
+    const findById = User.findById;
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'editor' };
+    const token = jwt.sign({ id: user._id, role: user.role }, 'test-secret');
+
+    afterEach(() => {
+        User.findById = findById;
+    });
+
+    it('rejects requests without a Bearer token', async () => {
+        assert.equal((await run(protect, { headers: {} })).code, 'UNAUTHORIZED');
+        assert.equal((await run(protect, { headers: { authorization: `Basic ${token}` } })).statusCode, 401);
+    });
+
+    it('rejects tokens signed with another secret', async () => {
+        const forged = jwt.sign({ id: user._id, role: 'admin' }, 'other-secret');
+        assert.equal((await run(protect, bearer(forged))).statusCode, 401);
+    });
+
+    it('rejects expired tokens', async () => {
+        const expired = jwt.sign({ id: user._id, exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+        assert.equal((await run(protect, bearer(expired))).statusCode, 401);
+    });
+
+    it('rejects tokens of users that no longer exist', async () => {
+        User.findById = async () => null;
+        assert.equal((await run(protect, bearer(token))).statusCode, 401);
+    });
+
+    it('attaches the user for a valid token', async () => {
+        User.findById = async (id) => (String(id) === String(user._id) ? user : null);
+        const req = bearer(token);
+
+        assert.equal(await run(protect, req), undefined);
+        assert.equal(req.user, user);
+    });
+});
+
+describe('optionalAuth', () => {
+    const findById = User.findById;
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+    afterEach(() => {
+        User.findById = findById;
+    });
+
+    it('lets anonymous requests through without a user', async () => {
+        const req = { headers: {} };
+
+        assert.equal(await run(optionalAuth, req), undefined);
+        assert.equal(req.user, undefined);
+    });
+
+    it('attaches the user for a valid token', async () => {
+        User.findById = async () => user;
+        const req = bearer(jwt.sign({ id: user._id }, 'test-secret'));
+
+        assert.equal(await run(optionalAuth, req), undefined);
+        assert.equal(req.user, user);
+    });
+
+    it('rejects an invalid token instead of treating the request as anonymous', async () => {
+        assert.equal((await run(optionalAuth, bearer('garbage'))).statusCode, 401);
+        assert.equal((await run(optionalAuth, bearer(jwt.sign({ id: user._id }, 'other-secret')))).statusCode, 401);
+    });
+
+    it('rejects tokens of users that no longer exist', async () => {
+        User.findById = async () => null;
+        assert.equal((await run(optionalAuth, bearer(jwt.sign({ id: user._id }, 'test-secret')))).statusCode, 401);
+    });
+});
+
+describe('authorize', () => {
+    it('lets listed roles through', async () => {
+        assert.equal(await run(authorize('admin', 'editor'), { user: { role: 'editor' } }), undefined);
+    });
+
+    it('rejects other roles and anonymous requests with 403', async () => {
+        const wrongRole = await run(authorize('admin'), { user: { role: 'editor' } });
+        assert.equal(wrongRole.statusCode, 403);
+        assert.equal(wrongRole.code, 'FORBIDDEN');
+        assert.match(wrongRole.message, /'editor' is not authorized/);
+
+        assert.equal((await run(authorize('admin'), {})).statusCode, 403);
+    });
+});
+
+describe('login rate limits', () => {
+    // Run a limiter and resolve with the error it passed to next(), if any, and the headers it set
+    const attempt = (limiter, req) => new Promise((resolve) => {
+        const headers = {};
+        const res = { set: (name, value) => { headers[name] = value; } };
+        limiter({ body: {}, ...req }, res, (error) => resolve({ error, headers }));
+    });
+
+    it('limits attempts against one account, whatever the address or spelling', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await attempt(loginEmailLimiter, { ip: `10.0.0.${i}`, body: { email: 'admin@example.com' } })).error, undefined);
+        }
+
+        const { error, headers } = await attempt(loginEmailLimiter, { ip: '10.0.0.9', body: { email: ' Admin@Example.com ' } });
+        assert.equal(error.statusCode, 429);
+        assert.equal(error.code, 'RATE_LIMITED');
+        assert.ok(headers['Retry-After'] > 0);
+
+        assert.equal((await attempt(loginEmailLimiter, { body: { email: 'editor@example.com' } })).error, undefined);
+    });
+
+    it('limits attempts from one address across accounts', async () => {
+        for (let i = 0; i < 20; i++) {
+            assert.equal((await attempt(loginIpLimiter, { ip: '192.0.2.1', body: { email: `user${i}@example.com` } })).error, undefined);
+        }
+
+        assert.equal((await attempt(loginIpLimiter, { ip: '192.0.2.1', body: { email: 'other@example.com' } })).error.statusCode, 429);
+        assert.equal((await attempt(loginIpLimiter, { ip: '192.0.2.2' })).error, undefined);
+    });
+});
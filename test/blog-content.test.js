@@ -0,0 +1,96 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBlogContent } = require('../server');
+
+describe('renderBlogContent sanitizing', () => {
+    it('drops script tags and their contents', () => {
+        const { descriptionHtml } = renderBlogContent('<p>Prices</p><script>alert(1)</script>', 'html');
+        assert.equal(descriptionHtml, '<p>Prices</p>');
+    });
+
+    it('drops script tags written inside markdown', () => {
+        const { descriptionHtml } = renderBlogContent('Prices\n\n<script>alert(1)</script>');
+        assert.doesNotMatch(descriptionHtml, /script|alert/);
+    });
+
+    it('drops event handler attributes', () => {
+        const { descriptionHtml } = renderBlogContent('<img src="https://example.com/a.png" onerror="alert(1)"><p onclick="alert(2)">Hi</p>', 'html');
+        assert.equal(descriptionHtml, '<img src="https://example.com/a.png" /><p>Hi</p>');
+    });
+
+    it('drops javascript: links in HTML and markdown', () => {
+        const html = renderBlogContent('<a href="javascript:alert(1)">x</a><a href="JaVaScRiPt:alert(1)">y</a>', 'html');
+        assert.equal(html.descriptionHtml, '<a>x</a><a>y</a>');
+
+        const markdown = renderBlogContent('[x](javascript:alert(1))');
+        assert.doesNotMatch(markdown.descriptionHtml, /javascript/i);
+    });
+
+    it('keeps safe links and adds rel to links opening a new tab', () => {
+        const { descriptionHtml } = renderBlogContent('<a href="https://example.com" target="_blank" rel="opener">x</a> <a href="mailto:info@example.com">y</a>', 'html');
+        assert.equal(descriptionHtml, '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a> <a href="mailto:info@example.com">y</a>');
+    });
+});
+
+describe('renderBlogContent headings', () => {
+    it('gives headings anchor ids and lists them in the TOC', () => {
+        const { descriptionHtml, toc } = renderBlogContent('# Market Update\n\n## Prices & Rates\n\nText');
+
+        assert.match(descriptionHtml, /<h1 id="market-update">Market Update<\/h1>/);
+        assert.match(descriptionHtml, /<h2 id="prices-rates">Prices &amp; Rates<\/h2>/);
+        assert.deepEqual(toc, [
+            { level: 1, text: 'Market Update', id: 'market-update' },
+            { level: 2, text: 'Prices & Rates', id: 'prices-rates' }
+        ]);
+    });
+
+    it('numbers repeated heading ids', () => {
+        const { toc } = renderBlogContent('## Summary\n\n## Summary\n\n### Summary');
+        assert.deepEqual(toc.map(entry => entry.id), ['summary', 'summary-2', 'summary-3']);
+    });
+
+    it('replaces ids sent in the source', () => {
+        const { descriptionHtml } = renderBlogContent('<h2 id="evil" onclick="x()">Title</h2>', 'html');
+        assert.equal(descriptionHtml, '<h2 id="title">Title</h2>');
+    });
+});
+
+describe('renderBlogContent derived fields', () => {
+    it('counts words of the rendered text and reads at 200 words per minute', () => {
+        const words = Array.from({ length: 401 }, (_, i) => `word${i}`).join(' ');
+        const { wordCount, readingTime } = renderBlogContent(`# Title\n\n**${words}**`);
+
+        assert.equal(wordCount, 402);
+        assert.equal(readingTime, 3);
+    });
+
+    it('uses the whole text as excerpt when it is short', () => {
+        const { excerpt, wordCount } = renderBlogContent('Tom &amp; Jerry <b>trade</b>\n\ncoffee', 'html');
+
+        assert.equal(excerpt, 'Tom & Jerry trade coffee');
+        assert.equal(wordCount, 5);
+    });
+
+    it('cuts long excerpts at a word boundary', () => {
+        const text = 'lorem ipsum '.repeat(40).trim();
+        const { excerpt } = renderBlogContent(text);
+        const kept = excerpt.slice(0, -1);
+
+        assert.ok(excerpt.endsWith('…'));
+        assert.ok(kept.length <= 200);
+        assert.ok(text.startsWith(kept));
+        assert.equal(text[kept.length], ' ');
+    });
+
+    it('handles empty content', () => {
+        assert.deepEqual(renderBlogContent(''), {
+            descriptionHtml: '',
+            excerpt: '',
+            wordCount: 0,
+            readingTime: 1,
+            toc: []
+        });
+    });
+});
@@ -0,0 +1,163 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { importBlogRow, parseBlogImport, parseCsv } = require('../server');
+
+describe('parseCsv', () => {
+    it('splits rows and cells', () => {
+        assert.deepEqual(parseCsv('title,status\nA,draft\nB,published\n'), [
+            ['title', 'status'],
+            ['A', 'draft'],
+            ['B', 'published']
+        ]);
+    });
+
+    it('keeps commas inside quoted cells', () => {
+        assert.deepEqual(parseCsv('title,tags\n"Coffee, tea and cocoa","coffee,tea"'), [
+            ['title', 'tags'],
+            ['Coffee, tea and cocoa', 'coffee,tea']
+        ]);
+    });
+
+    it('unescapes doubled quotes', () => {
+        assert.deepEqual(parseCsv('title\n"The ""best"" port"\n""""'), [['title'], ['The "best" port'], ['"']]);
+    });
+
+    it('accepts CRLF, LF and CR line endings', () => {
+        assert.deepEqual(parseCsv('a,b\r\n1,2\r3,4\n5,6\r\n'), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+    });
+
+    it('keeps line breaks inside quoted cells', () => {
+        assert.deepEqual(parseCsv('title,description\r\nA,"line one\r\nline two\nline three"\r\nB,x'), [
+            ['title', 'description'],
+            ['A', 'line one\r\nline two\nline three'],
+            ['B', 'x']
+        ]);
+    });
+
+    it('keeps empty cells and skips blank lines', () => {
+        assert.deepEqual(parseCsv('a,b,c\n\n,,\n1,,3\n\n'), [['a', 'b', 'c'], ['', '', ''], ['1', '', '3']]);
+    });
+});
+
+describe('parseBlogImport', () => {
+    it('builds nested records from dotted CSV columns and drops empty cells', () => {
+        assert.deepEqual(parseBlogImport('﻿title,seo.metaTitle,status\nA,Meta A,\n', 'csv'), [
+            { row: 1, record: { title: 'A', seo: { metaTitle: 'Meta A' } } }
+        ]);
+    });
+
+    it('reports CSV rows with the wrong number of cells on that row', () => {
+        assert.deepEqual(parseBlogImport('title,status\nA,draft\nB\nC,draft,extra', 'csv'), [
+            { row: 1, record: { title: 'A', status: 'draft' } },
+            { row: 2, errors: [{ field: 'row', message: 'expected 2 cells but found 1', type: 'csv.columns' }] },
+            { row: 3, errors: [{ field: 'row', message: 'expected 2 cells but found 3', type: 'csv.columns' }] }
+        ]);
+    });
+
+    it('reports broken NDJSON lines and non-object JSON rows on their row', () => {
+        const ndjson = parseBlogImport('{"title":"A"}\n{oops\n\n[1]\n', 'ndjson');
+
+        assert.deepEqual(ndjson[0], { row: 1, record: { title: 'A' } });
+        assert.equal(ndjson[1].row, 2);
+        assert.equal(ndjson[1].errors[0].type, 'json.parse');
+        assert.deepEqual(ndjson[2], { row: 3, errors: [{ field: 'row', message: 'row must be an object', type: 'object.base' }] });
+
+        assert.deepEqual(parseBlogImport([{ title: 'A' }, 'B'], 'json')[1], {
+            row: 2,
+            errors: [{ field: 'row', message: 'row must be an object', type: 'object.base' }]
+        });
+    });
+
+    it('rejects files that cannot be imported at all', () => {
+        assert.throws(() => parseBlogImport('', 'csv'), { statusCode: 400, code: 'INVALID_IMPORT', message: 'The CSV file is empty' });
+        assert.throws(() => parseBlogImport('slug,status\na,draft', 'csv'), { code: 'INVALID_IMPORT' });
+        assert.throws(() => parseBlogImport({ title: 'A' }, 'json'), { message: 'A JSON import must be an array of blogs' });
+        assert.throws(() => parseBlogImport('[', 'json'), { code: 'INVALID_IMPORT' });
+    });
+});
+
+describe('importBlogRow errors', () => {
+    // No database here: every query finds nothing (so no slug is taken)
+    const exec = mongoose.Query.prototype.exec;
+    before(() => {
+        mongoose.Query.prototype.exec = async () => null;
+    });
+    after(() => {
+        mongoose.Query.prototype.exec = exec;
+    });
+
+    const options = { onConflict: 'id', dryRun: true, user: null };
+
+    it('passes parse errors through', async () => {
+        const errors = [{ field: 'row', message: 'expected 2 cells but found 1', type: 'csv.columns' }];
+        assert.deepEqual(await importBlogRow({ row: 4, errors }, options), { row: 4, action: 'error', errors });
+    });
+
+    it('reports an invalid _id', async () => {
+        assert.deepEqual(await importBlogRow({ row: 1, record: { _id: 'nope', title: 'A' } }, options), {
+            row: 1,
+            title: 'A',
+            action: 'error',
+            errors: [{ field: '_id', message: '_id must be a valid id', type: 'objectId' }]
+        });
+    });
+
+    it('reports every validation error of the row', async () => {
+        const result = await importBlogRow({ row: 2, record: { title: 'A', status: 'archived', publishAt: 'soon' } }, options);
+
+        assert.equal(result.action, 'error');
+        assert.equal(result.row, 2);
+        assert.deepEqual(result.errors.map(error => error.field).sort(), ['category', 'description', 'imageUrl', 'publishAt', 'status']);
+        assert.deepEqual(result.errors.find(error => error.field === 'publishAt'), { field: 'publishAt', message: 'publishAt is not valid', type: 'date' });
+    });
+});
+
+describe('importBlogRow dry run', () => {
+    // No database here: categories resolve, blogs are never found
+    const exec = mongoose.Query.prototype.exec;
+    before(() => {
+        mongoose.Query.prototype.exec = async function () {
+            return this.model.modelName === 'Category' ? { _id: new mongoose.Types.ObjectId() } : null;
+        };
+    });
+    after(() => {
+        mongoose.Query.prototype.exec = exec;
+    });
+
+    const record = (fields) => ({
+        description: 'About it',
+        imageUrl: 'https://example.com/a.png',
+        category: 'news',
+        ...fields
+    });
+
+    it('reports a repeated title as an update, like the real import would', async () => {
+        const options = { onConflict: 'title', dryRun: true, user: null, pending: new Map() };
+        const first = await importBlogRow({ row: 1, record: record({ title: 'Hello' }) }, options);
+        const second = await importBlogRow({ row: 2, record: record({ title: ' Hello ', status: 'published' }) }, options);
+
+        assert.equal(first.action, 'create');
+        assert.equal(second.action, 'update');
+        assert.equal(String(second.id), String(first.id));
+    });
+
+    it('reports a repeated _id as an update', async () => {
+        const options = { onConflict: 'id', dryRun: true, user: null, pending: new Map() };
+        const _id = new mongoose.Types.ObjectId().toString();
+
+        assert.equal((await importBlogRow({ row: 1, record: record({ _id, title: 'A' }) }, options)).action, 'create');
+        assert.equal((await importBlogRow({ row: 2, record: record({ _id: _id.toUpperCase(), title: 'B' }) }, options)).action, 'update');
+    });
+
+    it('keeps the pending blog when a later row fails validation', async () => {
+        const options = { onConflict: 'title', dryRun: true, user: null, pending: new Map() };
+        await importBlogRow({ row: 1, record: record({ title: 'Hello' }) }, options);
+
+        assert.equal((await importBlogRow({ row: 2, record: record({ title: 'Hello', status: 'archived' }) }, options)).action, 'error');
+        assert.equal(options.pending.get('Hello').status, 'draft');
+        assert.equal((await importBlogRow({ row: 3, record: record({ title: 'Hello' }) }, options)).action, 'update');
+    });
+});
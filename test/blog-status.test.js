@@ -0,0 +1,140 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Blog, getEffectiveStatusFilter, getRelatedBlogs, isBlogLive, updateBlog } = require('../server');
+
+const now = new Date('2026-06-01T12:00:00Z');
+const past = new Date('2026-05-01T00:00:00Z');
+const future = new Date('2026-07-01T00:00:00Z');
+
+describe('getEffectiveStatusFilter', () => {
+    it('treats due scheduled drafts as published unless unpublishAt has passed', () => {
+        assert.deepEqual(getEffectiveStatusFilter('published', now), {
+            $and: [
+                { $or: [{ status: 'published' }, { status: 'draft', publishAt: { $ne: null, $lte: now } }] },
+                { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+            ]
+        });
+    });
+
+    it('treats future schedules and expired posts as drafts', () => {
+        assert.deepEqual(getEffectiveStatusFilter('draft', now), {
+            $or: [
+                { status: 'draft', $or: [{ publishAt: null }, { publishAt: { $gt: now } }] },
+                {
+                    $and: [
+                        { $or: [{ status: 'published' }, { status: 'draft', publishAt: { $ne: null, $lte: now } }] },
+                        { unpublishAt: { $ne: null, $lte: now } }
+                    ]
+                }
+            ]
+        });
+    });
+});
+
+describe('isBlogLive', () => {
+    const cases = [
+        ['published post', { status: 'published' }, true],
+        ['plain draft', { status: 'draft' }, false],
+        ['draft scheduled in the past', { status: 'draft', publishAt: past }, true],
+        ['draft scheduled in the future', { status: 'draft', publishAt: future }, false],
+        ['published post past unpublishAt', { status: 'published', unpublishAt: past }, false],
+        ['published post before unpublishAt', { status: 'published', unpublishAt: future }, true],
+        ['draft published and unpublished by the scheduler', { status: 'draft', publishAt: past, unpublishAt: past }, false]
+    ];
+
+    for (const [name, blog, expected] of cases) {
+        it(`${expected ? 'is' : 'is not'} live: ${name}`, () => {
+            assert.equal(isBlogLive(blog, now), expected);
+        });
+    }
+});
+
+describe('Blog JSON', () => {
+    const blog = (fields) => new Blog({
+        title: 'Trade update',
+        description: 'Body',
+        category: new mongoose.Types.ObjectId(),
+        imageUrl: 'https://example.com/a.png',
+        ...fields
+    });
+
+    it('reports a draft whose publishAt has passed as published', () => {
+        const doc = blog({ status: 'draft', publishAt: new Date(Date.now() - 60000) });
+        assert.equal(doc.status, 'draft');
+        assert.equal(doc.toJSON().status, 'published');
+    });
+
+    it('reports a published post past its unpublishAt as a draft', () => {
+        assert.equal(blog({ status: 'published', unpublishAt: new Date(Date.now() - 60000) }).toJSON().status, 'draft');
+    });
+
+    it('leaves status out when it was not selected', () => {
+        const doc = Blog.hydrate({ _id: new mongoose.Types.ObjectId(), title: 'Only the title' }, { title: 1 });
+        assert.equal('status' in doc.toJSON(), false);
+    });
+});
+
+describe('getRelatedBlogs', () => {
+    const findOne = Blog.findOne;
+    const lookUp = (found) => {
+        const filters = [];
+        Blog.findOne = (filter) => {
+            filters.push(filter);
+            return { select: async () => found };
+        };
+        return filters;
+    };
+    const run = (req) => new Promise((resolve) => getRelatedBlogs(req, {}, resolve));
+
+    afterEach(() => {
+        Blog.findOne = findOne;
+    });
+
+    it('only looks up live posts for anonymous readers', async () => {
+        const filters = lookUp(null);
+        const error = await run({ params: { id: '65a1b2c3d4e5f60718293a4b' }, query: {} });
+
+        assert.equal(error.statusCode, 404);
+        assert.equal(filters[0]._id, '65a1b2c3d4e5f60718293a4b');
+        assert.deepEqual(Object.keys(filters[0]), ['_id', '$and']);
+        assert.deepEqual(filters[0].$and[0].$or[0], { status: 'published' });
+    });
+
+    it('looks up drafts for signed-in users', async () => {
+        const filters = lookUp(null);
+        await run({ params: { id: '65a1b2c3d4e5f60718293a4b' }, query: {}, user: { role: 'editor' } });
+
+        assert.deepEqual(filters[0], { _id: '65a1b2c3d4e5f60718293a4b' });
+    });
+});
+
+describe('updateBlog editor restrictions', () => {
+    const findById = Blog.findById;
+    const update = (blog, body) => {
+        Blog.findById = async () => blog;
+        return new Promise((resolve) => updateBlog({ params: { id: 'x' }, body, user: { role: 'editor' } }, {}, resolve));
+    };
+
+    afterEach(() => {
+        Blog.findById = findById;
+    });
+
+    it('keeps editors away from published posts', async () => {
+        assert.equal((await update({ status: 'published' }, { title: 'New title' })).statusCode, 403);
+    });
+
+    it('keeps editors away from drafts whose publishAt has passed', async () => {
+        const error = await update({ status: 'draft', publishAt: new Date(Date.now() - 60000) }, { title: 'New title' });
+
+        assert.equal(error.statusCode, 403);
+        assert.equal(error.message, 'Only admins can publish, schedule or edit published blogs');
+    });
+
+    it('keeps editors from publishing or scheduling drafts', async () => {
+        assert.equal((await update({ status: 'draft' }, { status: 'published' })).statusCode, 403);
+        assert.equal((await update({ status: 'draft' }, { publishAt: new Date() })).statusCode, 403);
+    });
+});
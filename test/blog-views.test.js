@@ -0,0 +1,28 @@
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'login-secret';
+process.env.VIEW_HASH_SECRET = 'view-secret';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { getVisitorHash } = require('../server');
+
+const request = (ip, userAgent) => ({ ip, get: (header) => (header === 'user-agent' ? userAgent : undefined) });
+
+describe('getVisitorHash', () => {
+    it('hashes IP and user agent with VIEW_HASH_SECRET', () => {
+        const expected = crypto.createHmac('sha256', 'view-secret').update('blog-view:203.0.113.7:Mozilla/5.0').digest('hex');
+        assert.equal(getVisitorHash(request('203.0.113.7', 'Mozilla/5.0')), expected);
+    });
+
+    it('does not use the login key', () => {
+        const withLoginKey = crypto.createHmac('sha256', 'login-secret').update('blog-view:203.0.113.7:Mozilla/5.0').digest('hex');
+        assert.notEqual(getVisitorHash(request('203.0.113.7', 'Mozilla/5.0')), withLoginKey);
+    });
+
+    it('tells visitors apart by IP and user agent', () => {
+        const hash = getVisitorHash(request('203.0.113.7', 'Mozilla/5.0'));
+        assert.notEqual(getVisitorHash(request('203.0.113.8', 'Mozilla/5.0')), hash);
+        assert.notEqual(getVisitorHash(request('203.0.113.7', 'Safari')), hash);
+    });
+});
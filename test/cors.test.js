@@ -0,0 +1,80 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCorsPolicy } = require('../server');
+
+const request = (method, path, preflightMethod) => ({
+    method,
+    path,
+    get: (header) => (header === 'Access-Control-Request-Method' ? preflightMethod : undefined)
+});
+
+const BLOG_ID = '65a1b2c3d4e5f60718293a4b';
+
+describe('getCorsPolicy', () => {
+    const publicReads = [
+        '/api/blogs',
+        `/api/blog/${BLOG_ID}`,
+        '/api/v1/blogs',
+        `/api/v1/blogs/${BLOG_ID}`,
+        `/api/v1/blogs/${BLOG_ID}/related`,
+        '/api/v1/blogs/slug/global-coffee-prices',
+        '/api/v1/tags',
+        '/api/v1/categories',
+        '/api/v1/categories/logistics',
+        '/api/status',
+        '/api/v1/status',
+        '/api/v1/health/live',
+        '/api/v1/health/ready',
+        '/api/v1/openapi.json',
+        '/api/v1/docs',
+        '/feed.rss',
+        '/feed/logistics.atom',
+        '/sitemap.xml'
+    ];
+
+    for (const path of publicReads) {
+        it(`uses the public policy for GET ${path}`, () => {
+            assert.equal(getCorsPolicy(request('GET', path)), 'public');
+        });
+    }
+
+    const restrictedReads = [
+        '/api/v1/blogs/export',
+        '/api/v1/blogs/trash',
+        '/api/blog/export',
+        `/api/blog/${BLOG_ID}/related`,
+        '/api/tags',
+        '/api/health/ready',
+        `/api/v1/blogs/${BLOG_ID}/revisions`,
+        '/api/v1/inquiries',
+        '/api/v1/outbox',
+        '/api/v1/auth/me',
+        '/api/v1/analytics/blogs',
+        '/api/v1/webhooks',
+        '/metrics'
+    ];
+
+    for (const path of restrictedReads) {
+        it(`uses the restricted policy for GET ${path}`, () => {
+            assert.equal(getCorsPolicy(request('GET', path)), 'restricted');
+        });
+    }
+
+    it('uses the restricted policy for writes to public paths', () => {
+        assert.equal(getCorsPolicy(request('POST', '/api/blog/new')), 'restricted');
+        assert.equal(getCorsPolicy(request('POST', '/api/v1/blogs')), 'restricted');
+        assert.equal(getCorsPolicy(request('DELETE', `/api/v1/blogs/${BLOG_ID}`)), 'restricted');
+    });
+
+    it('picks the policy of the method a preflight asks for', () => {
+        assert.equal(getCorsPolicy(request('OPTIONS', '/api/v1/blogs', 'GET')), 'public');
+        assert.equal(getCorsPolicy(request('OPTIONS', '/api/v1/blogs', 'post')), 'restricted');
+        assert.equal(getCorsPolicy(request('OPTIONS', '/api/v1/blogs')), 'restricted');
+    });
+
+    it('treats HEAD like GET', () => {
+        assert.equal(getCorsPolicy(request('HEAD', '/api/v1/blogs')), 'public');
+    });
+});
@@ -0,0 +1,89 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../server');
+
+// Rebuild both sides from a diff, to check it describes the texts exactly
+const sides = (changes) => ({
+    before: changes.filter(change => change.type !== 'added').map(change => change.value).join('\n'),
+    after: changes.filter(change => change.type !== 'removed').map(change => change.value).join('\n')
+});
+
+describe('diffLines', () => {
+    it('marks identical texts as unchanged', () => {
+        assert.deepEqual(diffLines('a\nb', 'a\nb'), [
+            { type: 'unchanged', value: 'a' },
+            { type: 'unchanged', value: 'b' }
+        ]);
+    });
+
+    it('reports added, removed and changed lines', () => {
+        assert.deepEqual(diffLines('one\ntwo\nthree', 'one\n2\nthree\nfour'), [
+            { type: 'unchanged', value: 'one' },
+            { type: 'removed', value: 'two' },
+            { type: 'added', value: '2' },
+            { type: 'unchanged', value: 'three' },
+            { type: 'added', value: 'four' }
+        ]);
+    });
+
+    it('treats null and undefined as empty text', () => {
+        assert.deepEqual(diffLines(null, 'x'), [
+            { type: 'removed', value: '' },
+            { type: 'added', value: 'x' }
+        ]);
+        assert.deepEqual(diffLines(undefined, ''), [{ type: 'unchanged', value: '' }]);
+    });
+
+    it('produces a minimal diff that reproduces both texts', () => {
+        const lcsLength = (a, b) => {
+            const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+            return lengths[0][0];
+        };
+
+        // Deterministic pseudo-random texts over a small alphabet, so lines repeat often
+        let seed = 42;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648;
+        };
+        const text = () => Array.from({ length: Math.floor(random() * 15) }, () => 'abcd'[Math.floor(random() * 4)]).join('\n');
+
+        for (let round = 0; round < 500; round++) {
+            const before = text();
+            const after = text();
+            const changes = diffLines(before, after);
+
+            assert.deepEqual(sides(changes), { before, after });
+            assert.equal(
+                changes.filter(change => change.type === 'unchanged').length,
+                lcsLength(before.split('\n'), after.split('\n'))
+            );
+        }
+    });
+
+    it('diffs a small edit in a large body quickly', () => {
+        const before = Array.from({ length: 15000 }, (_, i) => `line ${i}`).join('\n');
+        const after = before.replace('line 7000\n', 'line 7000 edited\n');
+        const changes = diffLines(before, after);
+
+        assert.equal(changes.filter(change => change.type !== 'unchanged').length, 2);
+        assert.deepEqual(sides(changes), { before, after });
+    });
+
+    it('returns null when a side has too many lines', () => {
+        assert.equal(diffLines(new Array(20001).fill('x').join('\n'), ''), null);
+    });
+
+    it('returns null when the texts differ in too many lines', () => {
+        const before = Array.from({ length: 3000 }, (_, i) => `a${i}`).join('\n');
+        const after = Array.from({ length: 3000 }, (_, i) => `b${i}`).join('\n');
+        assert.equal(diffLines(before, after), null);
+    });
+});
@@ -0,0 +1,81 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { previewEmailTemplate, renderEmailTemplate, schemas } = require('../server');
+
+const SCRIPT = '<script>alert(1)</script>';
+
+// Run the preview controller and resolve with what it sent
+const preview = (name, query) => new Promise((resolve, reject) => {
+    const res = {
+        headers: {},
+        set(field, value) {
+            this.headers[field] = value;
+            return this;
+        },
+        type() {
+            return this;
+        },
+        status() {
+            return this;
+        },
+        send: resolve,
+        json: resolve
+    };
+    previewEmailTemplate({ params: { name }, query }, res, reject);
+});
+
+describe('renderEmailTemplate escaping', () => {
+    it('escapes {{name}} in the HTML body', async () => {
+        const { html, text } = await renderEmailTemplate('contact-admin', 'en', {
+            name: SCRIPT,
+            email: 'jane@example.com',
+            message: 'Hi'
+        });
+
+        assert.doesNotMatch(html, /<script>/);
+        assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+        // Plain-text parts are not HTML, so they keep the value as typed
+        assert.match(text, /<script>alert\(1\)<\/script>/);
+    });
+
+    it('keeps the subject plain text and escapes it where a layout prints it', async () => {
+        const { subject, html } = await renderEmailTemplate('contact-admin', 'en', { name: SCRIPT, email: 'a@example.com', message: 'Hi' });
+
+        // A mail header, not markup: entities would show up literally in mail clients
+        assert.equal(subject, `New Contact Form Submission from ${SCRIPT}`);
+        assert.equal(html.match(/<script/g), null);
+    });
+
+    it('does not expand placeholders inside substituted values', async () => {
+        const { html } = await renderEmailTemplate('contact-admin', 'en', { name: '{{{message}}}', email: 'a@example.com', message: SCRIPT });
+
+        assert.match(html, /\{\{\{message\}\}\}/);
+        assert.doesNotMatch(html, /<script>/);
+    });
+});
+
+describe('previewEmailTemplate overrides', () => {
+    it('escapes overridden names in the preview', async () => {
+        const html = await preview('contact-admin', { name: SCRIPT });
+
+        assert.doesNotMatch(html, /<script>/);
+        assert.match(html, /&lt;script&gt;/);
+    });
+
+    it('ignores values for raw keys and links', async () => {
+        const html = await preview('newsletter-digest', { postsHtml: SCRIPT, unsubscribeUrl: 'javascript:alert(1)' });
+
+        assert.doesNotMatch(html, /<script>|javascript:/);
+        assert.match(html, /Sample post/);
+    });
+
+    it('only accepts the plain-text sample fields in the query', () => {
+        const { query } = schemas.previewEmailTemplate;
+
+        assert.equal(query.validate({ name: 'Ana', format: 'json', postCount: '3' }).error, undefined);
+        assert.match(query.validate({ postsHtml: SCRIPT }).error.message, /"postsHtml" is not allowed/);
+        assert.match(query.validate({ confirmUrl: 'javascript:alert(1)' }).error.message, /"confirmUrl" is not allowed/);
+    });
+});
@@ -0,0 +1,64 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Blog, getAtomFeed, getRssFeed } = require('../server');
+
+// Run a feed controller and resolve with the XML it sent
+const render = (controller) => new Promise((resolve, reject) => {
+    const req = { params: {}, originalUrl: '/feed.rss', protocol: 'https', fresh: false, get: () => 'example.com' };
+    const res = {
+        set() {
+            return this;
+        },
+        type() {
+            return this;
+        },
+        send: resolve
+    };
+    controller(req, res, reject).catch(reject);
+});
+
+describe('feed dates', () => {
+    const stubbed = { countDocuments: Blog.countDocuments, find: Blog.find, findOne: Blog.findOne };
+    const createdAt = new Date('2026-01-05T10:00:00Z');
+    const publishedAt = new Date('2026-03-10T08:30:00Z');
+    const publishAt = new Date('2026-03-12T06:00:00Z');
+    let sort;
+
+    before(() => {
+        const blogs = [
+            new Blog({ title: 'Published later', status: 'published', createdAt, publishedAt, updatedAt: publishedAt }),
+            new Blog({ title: 'Scheduled', status: 'draft', createdAt, publishAt, updatedAt: createdAt })
+        ];
+        Blog.countDocuments = async () => blogs.length;
+        Blog.findOne = () => ({ sort: () => ({ select: async () => blogs[0] }) });
+        Blog.find = () => ({
+            sort: (order) => {
+                sort = order;
+                return { limit: () => ({ populate: async () => blogs }) };
+            }
+        });
+    });
+
+    after(() => {
+        Object.assign(Blog, stubbed);
+    });
+
+    it('dates RSS items by when they went live', async () => {
+        const xml = await render(getRssFeed);
+
+        assert.ok(xml.includes(`<pubDate>${publishedAt.toUTCString()}</pubDate>`));
+        assert.ok(xml.includes(`<pubDate>${publishAt.toUTCString()}</pubDate>`));
+        assert.ok(!xml.includes(createdAt.toUTCString()));
+        assert.deepEqual(sort, { publishedAt: -1, createdAt: -1 });
+    });
+
+    it('dates Atom entries by when they went live', async () => {
+        const xml = await render(getAtomFeed);
+
+        assert.ok(xml.includes(`<published>${publishedAt.toISOString()}</published>`));
+        assert.ok(xml.includes(`<published>${publishAt.toISOString()}</published>`));
+        assert.ok(!xml.includes(`<published>${createdAt.toISOString()}</published>`));
+    });
+});
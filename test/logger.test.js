@@ -0,0 +1,94 @@
+process.env.LOG_LEVEL = 'debug';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../server');
+
+// Collect the JSON lines a log call writes to stdout and stderr
+const capture = (fn) => {
+    const lines = [];
+    const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+    process.stdout.write = process.stderr.write = (chunk) => {
+        lines.push(JSON.parse(chunk));
+        return true;
+    };
+    try {
+        fn();
+    } finally {
+        process.stdout.write = writes.stdout;
+        process.stderr.write = writes.stderr;
+    }
+    return lines;
+};
+
+describe('logger redaction', () => {
+    it('redacts credentials at the top level', () => {
+        const [line] = capture(() => logger.info('login', {
+            email: 'admin@example.com',
+            password: 'hunter2',
+            token: 'eyJhbGciOi',
+            authorization: 'Bearer eyJhbGciOi',
+            cookie: 'session=abc',
+            apiKey: 'key-123'
+        }));
+
+        assert.equal(line.level, 'info');
+        assert.equal(line.msg, 'login');
+        assert.equal(line.email, 'admin@example.com');
+        for (const field of ['password', 'token', 'authorization', 'cookie', 'apiKey']) {
+            assert.equal(line[field], '[REDACTED]', field);
+        }
+    });
+
+    it('redacts credentials in nested objects and arrays', () => {
+        const [line] = capture(() => logger.warn('request', {
+            headers: { Authorization: 'Bearer abc', 'Set-Cookie': ['a=1'], 'user-agent': 'curl' },
+            user: { profile: { password: 'hunter2', name: 'Ana' } },
+            sessions: [{ refreshToken: 'r1', id: 1 }],
+            config: { JWT_SECRET: 'shh', MAIL_PASS: 'pw' }
+        }));
+
+        assert.deepEqual(line.headers, { Authorization: '[REDACTED]', 'Set-Cookie': '[REDACTED]', 'user-agent': 'curl' });
+        assert.deepEqual(line.user, { profile: { password: '[REDACTED]', name: 'Ana' } });
+        assert.deepEqual(line.sessions, [{ refreshToken: '[REDACTED]', id: 1 }]);
+        assert.deepEqual(line.config, { JWT_SECRET: '[REDACTED]', MAIL_PASS: '[REDACTED]' });
+    });
+
+    it('redacts email and inquiry bodies', () => {
+        const [line] = capture(() => logger.info('mail', {
+            mailOptions: { to: 'a@example.com', subject: 'Hi', html: '<p>secret</p>', text: 'secret' },
+            inquiry: { message: 'private' }
+        }));
+
+        assert.deepEqual(line.mailOptions, { to: 'a@example.com', subject: 'Hi', html: '[REDACTED]', text: '[REDACTED]' });
+        assert.deepEqual(line.inquiry, { message: '[REDACTED]' });
+    });
+
+    it('serializes errors and cuts off deep nesting', () => {
+        const [line] = capture(() => logger.error('failed', {
+            error: new TypeError('boom'),
+            deep: { a: { b: { c: { d: { e: { token: 'x' } } } } } }
+        }));
+
+        assert.equal(line.error.name, 'TypeError');
+        assert.equal(line.error.message, 'boom');
+        assert.deepEqual(line.deep, { a: { b: { c: { d: '[Object]' } } } });
+    });
+
+    it('writes warnings and errors to stderr', () => {
+        const streams = [];
+        const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+        process.stdout.write = () => streams.push('stdout');
+        process.stderr.write = () => streams.push('stderr');
+        try {
+            logger.debug('a');
+            logger.info('b');
+            logger.warn('c');
+            logger.error('d');
+        } finally {
+            process.stdout.write = writes.stdout;
+            process.stderr.write = writes.stderr;
+        }
+        assert.deepEqual(streams, ['stdout', 'stdout', 'stderr', 'stderr']);
+    });
+});
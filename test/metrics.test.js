@@ -0,0 +1,50 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMetrics } = require('../server');
+
+// Run the controller and resolve with the error it passed to next(), or the scrape it sent
+const scrape = (authorization) => new Promise((resolve, reject) => {
+    const req = {
+        method: 'GET',
+        originalUrl: '/metrics',
+        get: (name) => (name === 'Authorization' ? authorization : undefined)
+    };
+    const res = {
+        set() {
+            return this;
+        },
+        send: (body) => resolve({ body })
+    };
+    getMetrics(req, res, resolve).catch(reject);
+});
+
+describe('getMetrics', () => {
+    afterEach(() => {
+        delete process.env.METRICS_TOKEN;
+        delete process.env.METRICS_PUBLIC;
+    });
+
+    it('is hidden when no token is configured', async () => {
+        const error = await scrape();
+
+        assert.equal(error.statusCode, 404);
+        assert.equal(error.code, 'ROUTE_NOT_FOUND');
+    });
+
+    it('is open without a token only with METRICS_PUBLIC=true', async () => {
+        process.env.METRICS_PUBLIC = 'true';
+        assert.match((await scrape()).body, /process_cpu_user_seconds_total/);
+    });
+
+    it('requires the bearer token when one is configured', async () => {
+        process.env.METRICS_TOKEN = 'scrape-token';
+        process.env.METRICS_PUBLIC = 'true';
+
+        assert.equal((await scrape()).statusCode, 401);
+        assert.equal((await scrape('Bearer wrong-token')).statusCode, 401);
+        assert.equal((await scrape('scrape-token')).statusCode, 401);
+        assert.match((await scrape('Bearer scrape-token')).body, /process_cpu_user_seconds_total/);
+    });
+});
@@ -0,0 +1,144 @@
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NEWSLETTER_SECRET = 'newsletter-secret';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { Blog, NewsletterDigest, sendNewsletterDigest, signNewsletterToken, User, verifyNewsletterToken } = require('../server');
+
+// Sign as if it were `ms` milliseconds ago
+const signedAgo = (ms, sign) => {
+    const now = Date.now;
+    Date.now = () => now() - ms;
+    try {
+        return sign();
+    } finally {
+        Date.now = now;
+    }
+};
+
+describe('verifyNewsletterToken', () => {
+    it('returns the email of a token issued for the same purpose', () => {
+        assert.equal(verifyNewsletterToken(signNewsletterToken('ana@example.com', 'confirm'), 'confirm'), 'ana@example.com');
+        assert.equal(verifyNewsletterToken(signNewsletterToken('ana@example.com', 'unsubscribe'), 'unsubscribe'), 'ana@example.com');
+    });
+
+    it('rejects tokens issued for another purpose', () => {
+        assert.equal(verifyNewsletterToken(signNewsletterToken('ana@example.com', 'unsubscribe'), 'confirm'), null);
+        assert.equal(verifyNewsletterToken(signNewsletterToken('ana@example.com', 'confirm'), 'unsubscribe'), null);
+    });
+
+    it('rejects login tokens', () => {
+        const login = new User({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' }).getSignedJwtToken();
+        assert.equal(verifyNewsletterToken(login, 'confirm'), null);
+
+        // Even when shaped like a newsletter token, the login key does not verify
+        const forged = jwt.sign({ sub: 'ana@example.com', purpose: 'unsubscribe' }, 'test-secret');
+        assert.equal(verifyNewsletterToken(forged, 'unsubscribe'), null);
+    });
+
+    it('rejects expired confirmation links but keeps old unsubscribe links working', () => {
+        const eightDays = 8 * 24 * 60 * 60 * 1000;
+        const confirm = signedAgo(eightDays, () => signNewsletterToken('ana@example.com', 'confirm'));
+        const unsubscribe = signedAgo(eightDays, () => signNewsletterToken('ana@example.com', 'unsubscribe'));
+
+        assert.equal(verifyNewsletterToken(confirm, 'confirm'), null);
+        assert.equal(verifyNewsletterToken(unsubscribe, 'unsubscribe'), 'ana@example.com');
+    });
+
+    it('rejects unsigned and malformed tokens', () => {
+        const unsigned = jwt.sign({ sub: 'ana@example.com', purpose: 'confirm' }, null, { algorithm: 'none' });
+        assert.equal(verifyNewsletterToken(unsigned, 'confirm'), null);
+        assert.equal(verifyNewsletterToken('not-a-token', 'confirm'), null);
+        assert.equal(verifyNewsletterToken(undefined, 'confirm'), null);
+    });
+});
+
+describe('sendNewsletterDigest claim', () => {
+    const stubbed = {
+        Blog: { find: Blog.find },
+        NewsletterDigest: {
+            create: NewsletterDigest.create,
+            deleteOne: NewsletterDigest.deleteOne,
+            findOne: NewsletterDigest.findOne,
+            findOneAndUpdate: NewsletterDigest.findOneAndUpdate
+        }
+    };
+    const models = { Blog, NewsletterDigest };
+    const admin = { _id: '64b000000000000000000001', role: 'admin' };
+    const send = (body) => new Promise((resolve) => sendNewsletterDigest({ body, user: admin }, {}, resolve));
+
+    afterEach(() => {
+        for (const [model, statics] of Object.entries(stubbed)) Object.assign(models[model], statics);
+    });
+
+    it('refuses to send while another send holds the claim', async () => {
+        let lookedUp = false;
+        NewsletterDigest.findOneAndUpdate = async () => null;
+        NewsletterDigest.create = async () => {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        };
+        NewsletterDigest.findOne = () => {
+            lookedUp = true;
+            return { sort: async () => null };
+        };
+
+        const error = await send({});
+
+        assert.equal(error.statusCode, 409);
+        assert.equal(error.code, 'DIGEST_IN_PROGRESS');
+        assert.equal(lookedUp, false);
+    });
+
+    it('takes over a stale claim', async () => {
+        let claimFilter;
+        NewsletterDigest.findOneAndUpdate = async (filter) => {
+            claimFilter = filter;
+            return new NewsletterDigest({ status: 'sending', until: new Date(), lockedAt: new Date() });
+        };
+        NewsletterDigest.create = async () => assert.fail('a stale claim is taken over, not created');
+        NewsletterDigest.findOne = () => ({ sort: async () => null });
+        NewsletterDigest.deleteOne = async () => ({ deletedCount: 1 });
+        Blog.find = () => ({ sort: () => ({ limit: async () => [] }) });
+
+        await send({});
+
+        assert.equal(claimFilter.status, 'sending');
+        assert.ok(claimFilter.lockedAt.$lte < new Date());
+    });
+
+    it('looks up the last digest after claiming and releases the claim when nothing is sent', async () => {
+        const steps = [];
+        const claim = new NewsletterDigest({ status: 'sending', until: new Date(), lockedAt: new Date() });
+        NewsletterDigest.findOneAndUpdate = async () => null;
+        NewsletterDigest.create = async () => {
+            steps.push('claim');
+            return claim;
+        };
+        NewsletterDigest.findOne = (filter) => {
+            steps.push('last digest');
+            assert.deepEqual(filter, { status: { $ne: 'sending' } });
+            return { sort: async () => null };
+        };
+        NewsletterDigest.deleteOne = async (filter) => {
+            steps.push('release');
+            assert.deepEqual(filter, { _id: claim._id, status: 'sending' });
+        };
+        Blog.find = () => ({ sort: () => ({ limit: async () => [] }) });
+
+        const error = await send({});
+
+        assert.equal(error.code, 'NOTHING_TO_SEND');
+        assert.deepEqual(steps, ['claim', 'last digest', 'release']);
+    });
+
+    it('does not claim for a dry run', async () => {
+        NewsletterDigest.findOneAndUpdate = async () => assert.fail('a dry run does not claim');
+        NewsletterDigest.create = async () => assert.fail('a dry run does not claim');
+        NewsletterDigest.findOne = () => ({ sort: async () => null });
+        Blog.find = () => ({ sort: () => ({ limit: async () => [] }) });
+
+        assert.equal((await send({ dryRun: true })).code, 'NOTHING_TO_SEND');
+    });
+});
@@ -0,0 +1,54 @@
+process.env.LOG_LEVEL = 'error';
+process.env.OUTBOX_BACKOFF_BASE_MS = '1000';
+process.env.OUTBOX_MAX_ATTEMPTS = '3';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getOutboxBackoff, getOutboxClaimFilter, OutboxEmail, recordOutboxFailure } = require('../server');
+
+const now = new Date('2026-06-01T12:00:00Z');
+
+describe('getOutboxBackoff', () => {
+    it('doubles the base delay on each attempt', () => {
+        assert.deepEqual([1, 2, 3, 4, 5].map(getOutboxBackoff), [1000, 2000, 4000, 8000, 16000]);
+    });
+
+    it('waits the base delay before any attempt was made', () => {
+        assert.equal(getOutboxBackoff(0), 1000);
+    });
+});
+
+describe('getOutboxClaimFilter', () => {
+    it('claims due queued messages and reclaims sending locks older than five minutes', () => {
+        assert.deepEqual(getOutboxClaimFilter(now), {
+            $or: [
+                { status: 'queued', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lte: new Date('2026-06-01T11:55:00Z') } }
+            ]
+        });
+    });
+});
+
+describe('recordOutboxFailure', () => {
+    const message = (attempts) => new OutboxEmail({
+        mailOptions: { to: 'trader@example.com', subject: 'Hello' },
+        status: 'sending',
+        attempts
+    });
+
+    it('requeues the message with backoff while attempts remain', () => {
+        const failed = recordOutboxFailure(message(2), new Error('Connection refused'), now);
+
+        assert.equal(failed.status, 'queued');
+        assert.equal(failed.lastError, 'Connection refused');
+        assert.deepEqual(failed.nextAttemptAt, new Date(now.getTime() + 2000));
+    });
+
+    it('dead-letters the message once maxAttempts is reached', () => {
+        const failed = recordOutboxFailure(message(3), new Error('Mailbox unavailable'), now);
+
+        assert.equal(failed.maxAttempts, 3);
+        assert.equal(failed.status, 'dead');
+        assert.equal(failed.lastError, 'Mailbox unavailable');
+    });
+});
@@ -0,0 +1,65 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerSpamScorer, scoreSubmission } = require('../server');
+
+const submission = (fields) => ({
+    name: 'Jane Importer',
+    email: 'jane@example.com',
+    phone: '',
+    message: 'We would like a quote for 20 tonnes of green coffee beans.',
+    ip: '203.0.113.7',
+    ...fields
+});
+
+describe('spam scoring', () => {
+    it('lets an ordinary message through', async () => {
+        assert.deepEqual(await scoreSubmission(submission()), { score: 0, reasons: [], held: false });
+    });
+
+    it('scores messages with more than two links', async () => {
+        const result = await scoreSubmission(submission({ message: 'See http://a.example http://b.example www.c.example now' }));
+        assert.equal(result.score, 3);
+        assert.deepEqual(result.reasons, ['contains 3 links']);
+        assert.equal(result.held, false);
+    });
+
+    it('scores links or markup in the name', async () => {
+        const result = await scoreSubmission(submission({ name: '<b>Cheap</b> deals' }));
+        assert.equal(result.score, 4);
+        assert.deepEqual(result.reasons, ['link or markup in name']);
+    });
+
+    it('scores each spam keyword', async () => {
+        const result = await scoreSubmission(submission({ message: 'Best casino and forex loan offer for your business' }));
+        assert.equal(result.score, 6);
+        assert.deepEqual(result.reasons, ['keywords: casino, forex, loan offer']);
+        assert.equal(result.held, true);
+    });
+
+    it('scores all caps messages', async () => {
+        const result = await scoreSubmission(submission({ message: 'PLEASE SEND YOUR PRICE LIST TODAY' }));
+        assert.equal(result.score, 1);
+        assert.deepEqual(result.reasons, ['all caps message']);
+    });
+
+    it('holds submissions once the scores reach the threshold', async () => {
+        const result = await scoreSubmission(submission({
+            name: 'www.spam.example',
+            message: 'casino http://a.example http://b.example http://c.example'
+        }));
+        assert.equal(result.score, 9);
+        assert.equal(result.held, true);
+    });
+
+    it('ignores a scorer that throws', async () => {
+        registerSpamScorer(() => {
+            throw new Error('scorer crashed');
+        });
+        registerSpamScorer(async ({ email }) => (email.endsWith('@example.com') ? { score: 1, reason: 'custom' } : undefined));
+
+        const result = await scoreSubmission(submission());
+        assert.deepEqual(result, { score: 1, reasons: ['custom'], held: false });
+    });
+});
@@ -0,0 +1,111 @@
+process.env.LOG_LEVEL = 'error';
+// The receiver below listens on loopback
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+process.env.WEBHOOK_TIMEOUT_MS = '200';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { sendWebhookRequest, signWebhookPayload } = require('../server');
+
+describe('sendWebhookRequest', () => {
+    let server;
+    let baseUrl;
+    let received;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                received = { headers: req.headers, body };
+                if (req.url === '/fail') {
+                    res.writeHead(500);
+                    return res.end('boom');
+                }
+                if (req.url === '/slow') {
+                    return setTimeout(() => res.end('late'), 1000);
+                }
+                if (req.url === '/redirect') {
+                    res.writeHead(302, { Location: '/ok' });
+                    return res.end();
+                }
+                res.writeHead(200);
+                res.end('thanks');
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    const delivery = {
+        _id: 'delivery-1',
+        event: 'blog.published',
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+        payload: { id: 'blog-1', title: 'Coffee prices' }
+    };
+
+    it('posts a signed body and records the answer', async () => {
+        const attempt = await sendWebhookRequest({ url: `${baseUrl}/ok`, secret: 'whsec_test' }, delivery);
+
+        assert.equal(attempt.statusCode, 200);
+        assert.equal(attempt.responseBody, 'thanks');
+        assert.equal(attempt.error, undefined);
+
+        const { headers, body } = received;
+        assert.deepEqual(JSON.parse(body), {
+            id: 'delivery-1',
+            event: 'blog.published',
+            createdAt: '2026-01-01T00:00:00.000Z',
+            data: { id: 'blog-1', title: 'Coffee prices' }
+        });
+        assert.equal(headers['x-webhook-event'], 'blog.published');
+        assert.equal(headers['x-webhook-delivery'], 'delivery-1');
+
+        const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        assert.equal(signature, signWebhookPayload('whsec_test', timestamp, body));
+    });
+
+    it('records non-2xx answers as failures', async () => {
+        const attempt = await sendWebhookRequest({ url: `${baseUrl}/fail`, secret: 'whsec_test' }, delivery);
+
+        assert.equal(attempt.statusCode, 500);
+        assert.equal(attempt.responseBody, 'boom');
+        assert.equal(attempt.error, 'Endpoint answered 500');
+    });
+
+    it('does not follow redirects', async () => {
+        const attempt = await sendWebhookRequest({ url: `${baseUrl}/redirect`, secret: 'whsec_test' }, delivery);
+
+        assert.equal(attempt.statusCode, 302);
+        assert.equal(attempt.error, 'Endpoint answered 302');
+    });
+
+    it('gives up on endpoints that answer too slowly', async () => {
+        const attempt = await sendWebhookRequest({ url: `${baseUrl}/slow`, secret: 'whsec_test' }, delivery);
+
+        assert.equal(attempt.statusCode, undefined);
+        assert.equal(attempt.error, 'Timed out after 200ms');
+    });
+
+    it('records network errors', async () => {
+        // Grab a free port and release it, so nothing is listening there
+        const closed = http.createServer();
+        await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+        const { port } = closed.address();
+        await new Promise((resolve) => closed.close(resolve));
+
+        const attempt = await sendWebhookRequest({ url: `http://127.0.0.1:${port}/`, secret: 'whsec_test' }, delivery);
+
+        assert.equal(attempt.statusCode, undefined);
+        assert.match(attempt.error, /ECONNREFUSED/);
+    });
+
+    it('refuses non-http schemes even when private URLs are allowed', async () => {
+        const attempt = await sendWebhookRequest({ url: 'file:///etc/passwd', secret: 'whsec_test' }, delivery);
+
+        assert.equal(attempt.error, 'Not sent: URL must use http or https');
+    });
+});
@@ -0,0 +1,101 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { checkWebhookTarget, sendWebhookRequest, signWebhookPayload } = require('../server');
+
+describe('signWebhookPayload', () => {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256 of the secret', () => {
+        const body = JSON.stringify({ event: 'blog.created', data: { id: 1 } });
+        const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+        assert.equal(signWebhookPayload('whsec_test', 1700000000, body), expected);
+    });
+
+    it('changes with the timestamp, the body and the secret', () => {
+        const signature = signWebhookPayload('whsec_test', 1700000000, '{}');
+
+        assert.match(signature, /^[0-9a-f]{64}$/);
+        assert.notEqual(signWebhookPayload('whsec_test', 1700000001, '{}'), signature);
+        assert.notEqual(signWebhookPayload('whsec_test', 1700000000, '{ }'), signature);
+        assert.notEqual(signWebhookPayload('whsec_other', 1700000000, '{}'), signature);
+    });
+});
+
+describe('checkWebhookTarget', () => {
+    it('accepts public http and https addresses', async () => {
+        assert.equal(await checkWebhookTarget('https://93.184.215.14/hooks'), null);
+        assert.equal(await checkWebhookTarget('http://[2606:4700::1111]:8080/hooks'), null);
+    });
+
+    it('rejects schemes other than http and https', async () => {
+        assert.equal(await checkWebhookTarget('ftp://93.184.215.14/'), 'URL must use http or https');
+        assert.equal(await checkWebhookTarget('not a url'), 'URL is not valid');
+    });
+
+    const blocked = [
+        'http://127.0.0.1/',
+        'http://2130706433/',
+        'http://0x7f000001/',
+        'http://0.0.0.0/',
+        'http://10.0.0.5/',
+        'http://172.20.1.1/',
+        'http://192.168.1.1/',
+        'http://100.64.0.1/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://224.0.0.1/',
+        'http://[::1]/',
+        'http://[::]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://[fd12:3456::1]/',
+        'http://[fe80::1]/'
+    ];
+
+    for (const url of blocked) {
+        it(`rejects ${url}`, async () => {
+            assert.match(await checkWebhookTarget(url), /private or reserved address/);
+        });
+    }
+});
+
+describe('sendWebhookRequest DNS rebinding', () => {
+    let server;
+    let port;
+    let requests = 0;
+    const lookups = { callback: dns.lookup, promise: dns.promises.lookup };
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests++;
+            res.end('ok');
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+
+        // The first lookup (the check) sees a public address, later ones (the connection) loopback
+        let count = 0;
+        const resolveHost = () => [{ address: count++ === 0 ? '93.184.215.14' : '127.0.0.1', family: 4 }];
+        dns.promises.lookup = async () => resolveHost();
+        dns.lookup = (hostname, options, callback) => process.nextTick(callback, null, resolveHost());
+    });
+
+    after(() => {
+        dns.lookup = lookups.callback;
+        dns.promises.lookup = lookups.promise;
+        return new Promise((resolve) => server.close(resolve));
+    });
+
+    it('does not connect when the host resolves to a private address the second time', async () => {
+        const attempt = await sendWebhookRequest(
+            { url: `http://hooks.example.test:${port}/`, secret: 'whsec_test' },
+            { _id: 'delivery-1', event: 'blog.created', createdAt: new Date(), payload: {} }
+        );
+
+        assert.equal(attempt.error, 'Not sent: Host hooks.example.test resolves to a private or reserved address (127.0.0.1)');
+        assert.equal(attempt.statusCode, undefined);
+        assert.equal(requests, 0);
+    });
+});